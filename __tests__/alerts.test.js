@@ -0,0 +1,163 @@
+const github = require('@actions/github');
+
+jest.mock('@actions/core');
+jest.mock('@actions/github');
+
+const { detectAlerts, getAlertConfig, reportAlerts } = require('../alerts');
+const { day, mockInputs } = require('./helpers/stats');
+
+// 2024-08-05 up to 2024-09-01, two stars and 9 to 11 views a day
+function buildRows(lastStargazers, lastViews) {
+    const rows = Array.from({ length: 28 }, (_, index) => {
+        const date = new Date(Date.UTC(2024, 7, 5 + index)).toISOString().split('T')[0];
+        return day(date, 100 + index * 2, 9 + (index % 3));
+    });
+    rows[27] = day('2024-09-01', lastStargazers, lastViews);
+    return rows;
+}
+
+describe('Alerts', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should alert on a traffic spike', () => {
+        mockInputs({ 'alert-thresholds': 'views: zscore=3' });
+
+        const alerts = detectAlerts({ rows: buildRows(154, 500), endDate: '2024-09-01', config: getAlertConfig() });
+
+        expect(alerts).toEqual([expect.objectContaining({
+            metric: 'views',
+            date: '2024-09-01',
+            value: 500,
+            baseline: 10,
+            rule: 'zscore=3',
+        })]);
+        expect(alerts[0].zscore).toBeGreaterThan(3);
+    });
+
+    it('should compare stock metrics by their daily change', () => {
+        mockInputs({ 'alert-thresholds': 'stars: change=-100%' });
+        const config = getAlertConfig();
+
+        expect(detectAlerts({ rows: buildRows(154, 10), endDate: '2024-09-01', config })).toEqual([]);
+        expect(detectAlerts({ rows: buildRows(148, 10), endDate: '2024-09-01', config })).toEqual([expect.objectContaining({
+            metric: 'stars',
+            label: 'Stars gained',
+            value: -4,
+            baseline: 2,
+            change: -300,
+        })]);
+    });
+
+    it('should only alert in the direction of a signed threshold', () => {
+        mockInputs({ 'alert-thresholds': 'views: change=+200%' });
+        const config = getAlertConfig();
+
+        expect(detectAlerts({ rows: buildRows(154, 0), endDate: '2024-09-01', config })).toEqual([]);
+        expect(detectAlerts({ rows: buildRows(154, 40), endDate: '2024-09-01', config })).toHaveLength(1);
+    });
+
+    it('should end on the last complete day before a provisional day', () => {
+        mockInputs({ 'alert-thresholds': 'views: change=-50%' });
+        const rows = [...buildRows(154, 10).slice(0, 27), { ...day('2024-09-01', 154, 1), provisional: true }];
+
+        expect(detectAlerts({ rows, endDate: '2024-09-01', config: getAlertConfig() })).toEqual([]);
+        expect(detectAlerts({ rows: rows.map(({ provisional, ...row }) => row), endDate: '2024-09-01', config: getAlertConfig() })).toHaveLength(1);
+    });
+
+    it('should not alert without enough history', () => {
+        mockInputs({ 'alert-thresholds': 'views: zscore=3' });
+
+        const alerts = detectAlerts({ rows: buildRows(154, 500).slice(-5), endDate: '2024-09-01', config: getAlertConfig() });
+
+        expect(alerts).toEqual([]);
+    });
+
+    it('should reject invalid thresholds', () => {
+        mockInputs({ 'alert-thresholds': 'forks: zscore=3' });
+        expect(getAlertConfig).toThrow("Invalid alert thresholds 'forks: zscore=3'");
+
+        mockInputs({ 'alert-thresholds': 'views: ratio=3' });
+        expect(getAlertConfig).toThrow("Invalid alert threshold 'ratio=3' for 'views'");
+    });
+
+    it('should only alert on the metrics of the chosen collectors', () => {
+        mockInputs({ 'alert-thresholds': 'views: zscore=3', metrics: 'repository' });
+        expect(getAlertConfig).toThrow("Invalid alert thresholds 'views: zscore=3'");
+
+        mockInputs({ 'alert-thresholds': 'issues_opened: zscore=3', metrics: 'health' });
+        expect(getAlertConfig().thresholds.has('issues_opened')).toBe(true);
+    });
+
+    describe('issues', () => {
+        const alerts = [{ metric: 'views', label: 'Views', date: '2024-09-01', value: 500, baseline: 10, zscore: 490, change: 4900, rule: 'zscore=3' }];
+        let octokit;
+
+        beforeEach(() => {
+            github.context.repo = { owner: 'fake-owner', repo: 'fake-repo' };
+            octokit = {
+                rest: {
+                    issues: {
+                        listForRepo: jest.fn(),
+                        create: jest.fn().mockResolvedValue({ data: { number: 7 } }),
+                        createComment: jest.fn().mockResolvedValue({}),
+                        listComments: jest.fn(),
+                    },
+                },
+                paginate: jest.fn().mockResolvedValue([]),
+            };
+            mockInputs({ 'alert-thresholds': 'views: zscore=3', 'alert-issue': 'true' });
+        });
+
+        it('should open an issue with the alerts', async () => {
+            octokit.rest.issues.listForRepo.mockResolvedValue({ data: [] });
+
+            await reportAlerts({ octokit, repository: 'other-owner/other-repo', alerts, config: getAlertConfig() });
+
+            expect(octokit.rest.issues.listForRepo).toHaveBeenCalledWith(expect.objectContaining({ state: 'open', labels: 'insights-alert' }));
+            expect(octokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({
+                owner: 'fake-owner',
+                repo: 'fake-repo',
+                title: 'Insights alerts for other-owner/other-repo',
+                labels: ['insights-alert'],
+                body: expect.stringContaining('| Views | 2024-09-01 | 500 | 10 | 490 | 4900% | `zscore=3` |'),
+            }));
+        });
+
+        it('should comment on the issue still open from an earlier run', async () => {
+            octokit.rest.issues.listForRepo.mockResolvedValue({ data: [{ number: 3, title: 'Insights alerts for other-owner/other-repo' }] });
+
+            await reportAlerts({ octokit, repository: 'other-owner/other-repo', alerts, config: getAlertConfig() });
+
+            expect(octokit.rest.issues.create).not.toHaveBeenCalled();
+            expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 3 }));
+        });
+
+        it('should not report the same alert again when a day is run twice', async () => {
+            const stars = { ...alerts[0], metric: 'stars', label: 'Stars gained' };
+            octokit.rest.issues.listForRepo.mockResolvedValue({ data: [{ number: 3, title: 'Insights alerts for other-owner/other-repo', body: 'Earlier alerts' }] });
+            octokit.paginate.mockResolvedValue([{ body: 'A table\n\n<!-- insights-alert: 2024-09-01 views -->' }]);
+
+            await reportAlerts({ octokit, repository: 'other-owner/other-repo', alerts, config: getAlertConfig() });
+
+            expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, expect.objectContaining({ issue_number: 3 }));
+            expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+
+            await reportAlerts({ octokit, repository: 'other-owner/other-repo', alerts: [...alerts, stars], config: getAlertConfig() });
+
+            const { body } = octokit.rest.issues.createComment.mock.calls[0][0];
+            expect(body).toContain('| Stars gained | 2024-09-01 |');
+            expect(body).not.toContain('| Views |');
+            expect(body).toContain('<!-- insights-alert: 2024-09-01 stars -->');
+        });
+
+        it('should leave issues alone unless enabled', async () => {
+            mockInputs({ 'alert-thresholds': 'views: zscore=3' });
+
+            await reportAlerts({ octokit, repository: 'other-owner/other-repo', alerts, config: getAlertConfig() });
+
+            expect(octokit.rest.issues.listForRepo).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const http = require('http');
+const { createAppToken, createClients } = require('../auth');
+
+jest.mock('@actions/core');
+
+describe('createClients', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    let server;
+    let requests;
+    let inputs;
+
+    // A GitHub Enterprise Server with the app installed on both repositories
+    const routes = {
+        'GET /api/v3/repos/tracked-owner/tracked-repo/installation': () => ({ id: 1 }),
+        'GET /api/v3/repos/storage-owner/storage-repo/installation': () => ({ id: 2 }),
+        'POST /api/v3/app/installations/1/access_tokens': () => ({ token: 'tracked-token' }),
+        'POST /api/v3/app/installations/2/access_tokens': () => ({ token: 'storage-token' }),
+        'GET /api/v3/repos/tracked-owner/tracked-repo': () => ({ name: 'tracked-repo' }),
+        'POST /custom/graphql': () => ({ data: { viewer: { login: 'app[bot]' } } }),
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', (chunk) => (body += chunk));
+            request.on('end', () => {
+                const route = `${request.method} ${request.url}`;
+                requests.push({ route, authorization: request.headers.authorization, body: body ? JSON.parse(body) : null });
+                const handler = routes[route];
+                response.writeHead(handler ? 200 : 404, { 'content-type': 'application/json' });
+                response.end(JSON.stringify(handler ? handler() : { message: 'Not Found' }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        const url = `http://127.0.0.1:${server.address().port}`;
+        inputs = {
+            'app-id': '12345',
+            'private-key': privateKey,
+            'api-url': `${url}/api/v3/`,
+            'graphql-url': `${url}/custom/graphql`,
+            owner: 'tracked-owner',
+            repository: 'tracked-repo',
+            'api-retries': '0',
+        };
+        core.getInput = jest.fn((key) => inputs[key] || '');
+        process.env.GITHUB_REPOSITORY = 'storage-owner/storage-repo';
+    });
+
+    it('should use an installation token for the tracked and for the storage repository', async () => {
+        const { octokit, storageOctokit } = await createClients();
+        await octokit.rest.repos.get({ owner: 'tracked-owner', repo: 'tracked-repo' });
+        const { viewer } = await storageOctokit.graphql('query { viewer { login } }');
+
+        expect(viewer.login).toBe('app[bot]');
+        const [jwt] = requests
+            .filter(({ route }) => route.includes('/installation'))
+            .map(({ authorization }) => authorization.replace(/^bearer /i, ''));
+        const [header, payload, signature] = jwt.split('.');
+        expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+        expect(JSON.parse(Buffer.from(payload, 'base64url').toString())).toMatchObject({ iss: '12345' });
+        expect(requests.find(({ route }) => route.endsWith('/installations/2/access_tokens')).body).toEqual({ repositories: ['storage-repo'] });
+        expect(requests.find(({ route }) => route === 'GET /api/v3/repos/tracked-owner/tracked-repo').authorization).toBe('token tracked-token');
+        expect(requests.find(({ route }) => route === 'POST /custom/graphql').authorization).toBe('token storage-token');
+    });
+
+    it('should store the insights with the storage token instead of an installation token', async () => {
+        inputs['storage-token'] = 'storage-pat';
+
+        const { storageOctokit } = await createClients();
+        await storageOctokit.graphql('query { viewer { login } }');
+
+        expect(requests.map(({ route }) => route)).not.toContain('GET /api/v3/repos/storage-owner/storage-repo/installation');
+        expect(requests.find(({ route }) => route === 'POST /custom/graphql').authorization).toBe('token storage-pat');
+    });
+
+    it('should explain when the app is not installed on a repository', async () => {
+        process.env.GITHUB_REPOSITORY = 'storage-owner/other-repo';
+
+        await expect(createClients()).rejects.toThrow("The GitHub App is not installed on 'storage-owner/other-repo'.");
+    });
+
+    it('should use the token against the configured API without an app', async () => {
+        inputs = { 'github-token': 'fake-token', 'api-url': inputs['api-url'], 'api-retries': '0' };
+
+        const { octokit, storageOctokit } = await createClients();
+        await octokit.rest.repos.get({ owner: 'tracked-owner', repo: 'tracked-repo' });
+
+        expect(storageOctokit).toBe(octokit);
+        expect(requests).toEqual([expect.objectContaining({ route: 'GET /api/v3/repos/tracked-owner/tracked-repo', authorization: 'token fake-token' })]);
+    });
+});
+
+describe('createAppToken', () => {
+    it('should require the private key', () => {
+        expect(() => createAppToken('12345', '')).toThrow("Input 'private-key' is required");
+    });
+
+    it('should report a private key that cannot sign', () => {
+        expect(() => createAppToken('12345', 'not a key')).toThrow('Unable to sign with the private key of GitHub App 12345');
+    });
+});
@@ -0,0 +1,95 @@
+const { getCumulativeHistory } = require('../backfill');
+
+function starsPage(starredAt, endCursor = null) {
+    return {
+        repository: {
+            stargazers: {
+                pageInfo: { hasNextPage: endCursor !== null, endCursor },
+                edges: starredAt.map((date) => ({ starredAt: date })),
+            },
+        },
+    };
+}
+
+function commitsPage(committedDates, endCursor = null) {
+    return {
+        repository: {
+            defaultBranchRef: {
+                target: {
+                    history: {
+                        pageInfo: { hasNextPage: endCursor !== null, endCursor },
+                        nodes: committedDates.map((date) => ({ committedDate: date })),
+                    },
+                },
+            },
+        },
+    };
+}
+
+describe('Star and commit history', () => {
+    it('should count the stargazers and commits up to every date', async () => {
+        const starPages = [
+            starsPage(['2024-01-01T10:00:00Z', '2024-01-01T23:59:59Z'], 'stars-1'),
+            starsPage(['2024-01-05T00:00:00Z']),
+        ];
+        const commitPages = [
+            commitsPage(['2024-01-03T12:00:00Z', '2023-12-30T08:00:00Z'], 'commits-1'),
+            commitsPage(['2023-12-30T09:00:00Z']),
+        ];
+        const octokit = {
+            graphql: jest.fn((query) => Promise.resolve(query.includes('stargazers') ? starPages.shift() : commitPages.shift())),
+        };
+
+        const history = await getCumulativeHistory(octokit, 'fake-owner', 'fake-repo');
+
+        expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), { owner: 'fake-owner', repo: 'fake-repo', cursor: 'stars-1' });
+        expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('committedDate'), { owner: 'fake-owner', repo: 'fake-repo', cursor: 'commits-1' });
+        expect(history.firstDate).toBe('2023-12-30');
+        expect(['2023-12-29', '2023-12-30', '2024-01-01', '2024-01-04', '2024-01-05'].map(history.stargazersOn)).toEqual([0, 0, 2, 2, 3]);
+        expect(['2023-12-29', '2023-12-30', '2024-01-01', '2024-01-04', '2024-01-05'].map(history.commitsOn)).toEqual([0, 2, 2, 3, 3]);
+    });
+
+    it('should have no history for an empty repository', async () => {
+        const octokit = {
+            graphql: jest.fn((query) => Promise.resolve(query.includes('stargazers')
+                ? starsPage([])
+                : { repository: { defaultBranchRef: null } })),
+        };
+
+        const history = await getCumulativeHistory(octokit, 'fake-owner', 'fake-repo');
+
+        expect(history.firstDate).toBeNull();
+        expect(history.stargazersOn('2024-01-01')).toBe(0);
+    });
+
+    it('should pause when the rate limit runs out and resume from the checkpoint', async () => {
+        const rateLimited = Object.assign(new Error('API rate limit exceeded'), { status: 403, response: { headers: { 'x-ratelimit-remaining': '0' } } });
+        const octokit = {
+            graphql: jest.fn()
+                .mockResolvedValueOnce(starsPage(['2024-01-01T10:00:00Z'], 'stars-1'))
+                .mockRejectedValueOnce(rateLimited),
+        };
+
+        const paused = await getCumulativeHistory(octokit, 'fake-owner', 'fake-repo', null);
+
+        expect(paused.complete).toBe(false);
+        expect(octokit.graphql).toHaveBeenCalledTimes(2); // Commits are left for later
+
+        octokit.graphql = jest.fn((query) => Promise.resolve(query.includes('stargazers')
+            ? starsPage(['2024-01-02T10:00:00Z'])
+            : commitsPage(['2024-01-01T10:00:00Z'])));
+
+        const resumed = await getCumulativeHistory(octokit, 'fake-owner', 'fake-repo', paused.checkpoint);
+
+        expect(resumed.complete).toBe(true);
+        expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), expect.objectContaining({ cursor: 'stars-1' }));
+        expect(resumed.stargazersOn('2024-01-02')).toBe(2);
+        expect(resumed.commitsOn('2024-01-02')).toBe(1);
+    });
+
+    it('should fail on errors other than the rate limit', async () => {
+        const octokit = { graphql: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) };
+
+        await expect(getCumulativeHistory(octokit, 'fake-owner', 'fake-repo', null)).rejects.toThrow('Not Found');
+    });
+});
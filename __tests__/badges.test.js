@@ -0,0 +1,84 @@
+jest.mock('@actions/core');
+
+const { formatCount, getBadgeConfig, renderBadges } = require('../badges');
+const { day, mockInputs } = require('./helpers/stats');
+
+describe('Badges', () => {
+    // 2024-08-20 up to 2024-09-02
+    const rows = Array.from({ length: 14 }, (_, index) => {
+        const date = new Date(Date.UTC(2024, 7, 20 + index)).toISOString().split('T')[0];
+        return day(date, 1000 + index * 100, 10);
+    });
+    rows[13] = day(rows[13].date, 'unavailable', 'unavailable');
+
+    function renderBadge(inputs) {
+        mockInputs(inputs);
+        const [{ name, content }] = renderBadges({ rows, endDate: '2024-09-02', config: getBadgeConfig() });
+        return { name, ...JSON.parse(content) };
+    }
+
+    it('should render the current value of a stock metric', () => {
+        expect(renderBadge({ badges: 'stars' })).toEqual({
+            name: 'stars-total.json',
+            schemaVersion: 1,
+            label: 'stars',
+            message: '2.2k', // The last known value, as yesterday is unavailable
+            color: 'blue',
+        });
+    });
+
+    it('should render the change of a stock metric and the total of a flow metric over a window', () => {
+        expect(renderBadge({ badges: 'stars:month' })).toMatchObject({ label: 'stars this month', message: '+100' });
+        expect(renderBadge({ badges: 'views:7d' })).toMatchObject({ name: 'views-7d.json', label: 'views (7d)', message: '60' });
+        expect(renderBadge({ badges: 'views:total' })).toMatchObject({ message: '130' });
+    });
+
+    it('should leave out a provisional last day', () => {
+        mockInputs({ badges: 'views:7d' });
+        const [{ content }] = renderBadges({ rows: [...rows, { ...day('2024-09-03', 2500, 1), provisional: true }], endDate: '2024-09-03', config: getBadgeConfig() });
+
+        expect(JSON.parse(content).message).toBe('60');
+    });
+
+    it('should pick the color of the highest threshold reached', () => {
+        const colors = 'views: 0=red, 50=yellow, 100=brightgreen\nstars: 0=orange';
+
+        expect(renderBadge({ badges: 'views:7d', 'badge-colors': colors }).color).toBe('yellow');
+        expect(renderBadge({ badges: 'views:total', 'badge-colors': colors }).color).toBe('brightgreen');
+        expect(renderBadge({ badges: 'stars', 'badge-colors': colors }).color).toBe('orange');
+        expect(renderBadge({ badges: 'clones:7d', 'badge-colors': colors }).color).toBe('blue');
+    });
+
+    it('should render missing values as not available', () => {
+        mockInputs({ badges: 'views:7d' });
+        const [{ content }] = renderBadges({ rows: [], endDate: '2024-09-02', config: getBadgeConfig() });
+
+        expect(JSON.parse(content)).toMatchObject({ message: 'n/a', color: 'lightgrey' });
+    });
+
+    it('should reject unknown metrics, windows and colors', () => {
+        mockInputs({ badges: 'forks:7d' });
+        expect(getBadgeConfig).toThrow("unknown metric 'forks'");
+
+        mockInputs({ badges: 'views:week' });
+        expect(getBadgeConfig).toThrow("unknown window 'week'");
+
+        mockInputs({ 'badge-colors': 'views: red' });
+        expect(getBadgeConfig).toThrow("Invalid badge color threshold 'red'");
+    });
+
+    it('should only offer the metrics of the chosen collectors', () => {
+        mockInputs({ badges: 'views:7d', metrics: 'repository, health' });
+        expect(getBadgeConfig).toThrow("unknown metric 'views', expected one of stars, commits, open_issues");
+
+        mockInputs({ badges: 'open_issues', metrics: 'health' });
+        expect(getBadgeConfig().badges[0].metric).toMatchObject({ column: 'open_issues', label: 'Open issues', kind: 'stock' });
+    });
+
+    it('should format counts compactly', () => {
+        expect(formatCount(999)).toBe('999');
+        expect(formatCount(1234)).toBe('1.2k');
+        expect(formatCount(56789)).toBe('57k');
+        expect(formatCount(-1500000)).toBe('-1.5M');
+    });
+});
@@ -0,0 +1,89 @@
+const { configureInputs, formatHelp, readActionInputs } = require('../cli');
+
+describe('readActionInputs', () => {
+    it('should read the inputs of action.yml with their defaults', () => {
+        const inputs = readActionInputs();
+
+        expect(inputs).toContainEqual(expect.objectContaining({ name: 'format', default: 'csv' }));
+        expect(inputs).toContainEqual(expect.objectContaining({ name: 'repository', default: '${{ github.repository }}' }));
+        expect(inputs.find((input) => input.name === 'github-token').description).toMatch(/token/i);
+    });
+});
+
+describe('configureInputs', () => {
+    const inputs = [
+        { name: 'github-token', description: '', default: '' },
+        { name: 'owner', description: '', default: '${{ github.owner }}' },
+        { name: 'repository', description: '', default: '${{ github.repository }}' },
+        { name: 'repositories', description: '', default: '' },
+        { name: 'format', description: '', default: 'json' },
+        { name: 'branch', description: '', default: 'main' },
+    ];
+
+    it('should set the inputs from flags, environment variables and defaults', () => {
+        const env = { INPUT_BRANCH: 'insights', GITHUB_TOKEN: 'token' };
+
+        const options = configureInputs(['--repository', 'octo/hello', '--format', 'csv', '--dry-run'], env, inputs);
+
+        expect(options).toEqual({ outputDirectory: undefined, dryRun: true, help: false });
+        expect(env).toMatchObject({
+            INPUT_REPOSITORY: 'octo/hello',
+            INPUT_FORMAT: 'csv',
+            INPUT_BRANCH: 'insights',
+            'INPUT_GITHUB-TOKEN': 'token',
+            GITHUB_REPOSITORY: 'octo/hello',
+        });
+        expect(env.INPUT_OWNER).toBeUndefined(); // Workflow expressions aren't used as defaults
+    });
+
+    it('should let flags override the environment', () => {
+        const env = { INPUT_FORMAT: 'csv' };
+
+        configureInputs(['--format', 'json', '--output-dir', './out'], env, inputs);
+
+        expect(env.INPUT_FORMAT).toBe('json');
+    });
+
+    it('should track the first listed repository, unless it has a wildcard', () => {
+        const env = { INPUT_REPOSITORIES: 'octo/first, octo/second' };
+        configureInputs([], env, inputs);
+        expect(env.GITHUB_REPOSITORY).toBe('octo/first');
+
+        const wildcardEnv = { INPUT_REPOSITORIES: 'octo/*' };
+        configureInputs([], wildcardEnv, inputs);
+        expect(wildcardEnv.GITHUB_REPOSITORY).toBeUndefined();
+    });
+
+    it('should combine the owner and repository inputs', () => {
+        const env = {};
+
+        configureInputs(['--owner', 'octo', '--repository', 'hello'], env, inputs);
+
+        expect(env.GITHUB_REPOSITORY).toBe('octo/hello');
+    });
+
+    it('should keep the repository of a workflow', () => {
+        const env = { GITHUB_REPOSITORY: 'octo/workflow' };
+
+        configureInputs(['--repository', 'octo/hello'], env, inputs);
+
+        expect(env.GITHUB_REPOSITORY).toBe('octo/workflow');
+    });
+
+    it('should reject unknown flags', () => {
+        expect(() => configureInputs(['--unknown', 'x'], {}, inputs)).toThrow(/unknown/);
+    });
+
+    it('should return the output directory', () => {
+        expect(configureInputs(['--output-dir', './out'], {}, inputs).outputDirectory).toBe('./out');
+    });
+});
+
+describe('formatHelp', () => {
+    it('should list the options and inputs with their defaults', () => {
+        const help = formatHelp([{ name: 'format', description: 'Format of the files.', default: 'json' }]);
+
+        expect(help).toContain('--dry-run');
+        expect(help).toContain('--format\n      Format of the files. (default: json)');
+    });
+});
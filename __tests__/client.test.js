@@ -0,0 +1,146 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { getOctokit } = jest.requireActual('@actions/github');
+const { isRateLimitError, requestWithRetries, withRetries } = require('../client');
+
+function httpError(status, headers = {}, message = 'Request failed') {
+    return Object.assign(new Error(message), { status, response: { headers } });
+}
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'content-type': 'application/json', ...headers },
+    });
+}
+
+describe('API client', () => {
+    const options = { method: 'GET', url: '/repos/{owner}/{repo}' };
+    const settings = { retries: 3, maxWait: 300 };
+
+    beforeEach(() => {
+        core.getInput = jest.fn(() => '');
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should retry server and network errors with backoff', async () => {
+        const request = jest.fn()
+            .mockRejectedValueOnce(httpError(502))
+            .mockRejectedValueOnce(new Error('socket hang up'))
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: 'ok' });
+
+        const response = await requestWithRetries(request, options, settings);
+
+        expect(response.data).toBe('ok');
+        expect(request).toHaveBeenCalledTimes(3);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('after HTTP 502 (retry 1 of 3)'));
+    });
+
+    it('should give up after the configured retries', async () => {
+        const request = jest.fn().mockRejectedValue(httpError(503));
+
+        await expect(requestWithRetries(request, options, settings)).rejects.toThrow('Request failed');
+        expect(request).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not retry client errors', async () => {
+        const request = jest.fn().mockRejectedValue(httpError(404, {}, 'Not Found'));
+
+        await expect(requestWithRetries(request, options, settings)).rejects.toThrow('Not Found');
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only retry a request that changes something after a rate limit', async () => {
+        const post = { method: 'POST', url: '/repos/{owner}/{repo}/issues' };
+        const failing = jest.fn().mockRejectedValue(httpError(502));
+
+        await expect(requestWithRetries(failing, post, settings)).rejects.toThrow('Request failed');
+        expect(failing).toHaveBeenCalledTimes(1);
+
+        const limited = jest.fn()
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }, 'You have exceeded a secondary rate limit'))
+            .mockResolvedValueOnce({ status: 201, headers: {}, data: 'created' });
+
+        expect((await requestWithRetries(limited, post, settings)).data).toBe('created');
+        expect(limited).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry GraphQL queries but not mutations after a server error', async () => {
+        const graphql = { method: 'POST', url: '/graphql' };
+        const query = jest.fn()
+            .mockRejectedValueOnce(httpError(502))
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: 'ok' });
+        const mutation = jest.fn().mockRejectedValue(httpError(502));
+
+        await requestWithRetries(query, { ...graphql, query: 'query { viewer { login } }' }, settings);
+        await expect(requestWithRetries(mutation, { ...graphql, query: 'mutation { addStar }' }, settings)).rejects.toThrow('Request failed');
+        expect(query).toHaveBeenCalledTimes(2);
+        expect(mutation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should honour retry-after and the rate limit reset', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const request = jest.fn()
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }, 'You have exceeded a secondary rate limit'))
+            .mockRejectedValueOnce(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now - 1) }, 'API rate limit exceeded'))
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: 'ok' });
+
+        await requestWithRetries(request, options, settings);
+
+        expect(request).toHaveBeenCalledTimes(3);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('in 0 s after hitting the rate limit'));
+    });
+
+    it('should fail right away when the rate limit resets later than the maximum wait', async () => {
+        const reset = String(Math.floor(Date.now() / 1000) + 3600);
+        const request = jest.fn().mockRejectedValue(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }, 'API rate limit exceeded'));
+
+        await expect(requestWithRetries(request, options, settings)).rejects.toThrow('API rate limit exceeded');
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tell rate limit errors apart from other errors', () => {
+        expect(isRateLimitError(httpError(403, { 'x-ratelimit-remaining': '0' }))).toBe(true);
+        expect(isRateLimitError(httpError(403, {}, 'You have exceeded a secondary rate limit'))).toBe(true);
+        expect(isRateLimitError(Object.assign(new Error('Throttled'), { errors: [{ type: 'RATE_LIMITED' }] }))).toBe(true);
+        expect(isRateLimitError(httpError(403, { 'x-ratelimit-remaining': '4000' }, 'Resource not accessible by integration'))).toBe(false);
+    });
+
+    it('should send REST and GraphQL requests through the retries and log the quota', async () => {
+        const quota = { 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1725235200' };
+        const fetch = jest.fn()
+            .mockResolvedValueOnce(jsonResponse(502, { message: 'Server Error' }))
+            .mockResolvedValueOnce(jsonResponse(200, { full_name: 'fake-owner/fake-repo' }, { ...quota, 'x-ratelimit-remaining': '499' }))
+            .mockResolvedValueOnce(jsonResponse(200, { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] }, { 'retry-after': '0' }))
+            .mockResolvedValueOnce(jsonResponse(200, { data: { viewer: { login: 'me' } } }));
+        const octokit = getOctokit('fake-token', { request: { fetch } }, withRetries);
+
+        const { data: repository } = await octokit.rest.repos.get({ owner: 'fake-owner', repo: 'fake-repo' });
+        const { viewer } = await octokit.graphql('query { viewer { login } }');
+
+        expect(repository.full_name).toBe('fake-owner/fake-repo');
+        expect(viewer.login).toBe('me');
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining("Only 499 of 5000 API requests are left for 'core'"));
+    });
+
+    it('should not create an issue twice after a server error', async () => {
+        const fetch = jest.fn()
+            .mockResolvedValueOnce(jsonResponse(502, { message: 'Server Error' }))
+            .mockResolvedValueOnce(jsonResponse(502, { message: 'Server Error' }))
+            .mockResolvedValueOnce(jsonResponse(200, { data: { viewer: { login: 'me' } } }));
+        const octokit = getOctokit('fake-token', { request: { fetch } }, withRetries);
+
+        await expect(octokit.rest.issues.create({ owner: 'fake-owner', repo: 'fake-repo', title: 'Alert' })).rejects.toThrow('Server Error');
+        await octokit.graphql('query { viewer { login } }');
+
+        expect(fetch).toHaveBeenCalledTimes(3); // Only the query is sent again
+    });
+});
@@ -0,0 +1,53 @@
+const core = require('@actions/core');
+const { collectorNames, collectors, getCollectors, listCollectorColumns, runCollectors } = require('../collectors');
+
+jest.mock('@actions/core');
+
+describe('getCollectors', () => {
+    it('should run every collector by default', () => {
+        core.getInput = jest.fn().mockReturnValue('');
+
+        expect(getCollectors().map(({ name }) => name)).toEqual(collectorNames);
+    });
+
+    it('should keep the order of the registry for the chosen collectors', () => {
+        core.getInput = jest.fn().mockReturnValue('clones,\nRepository');
+
+        const selected = getCollectors();
+
+        expect(selected.map(({ name }) => name)).toEqual(['repository', 'clones']);
+        expect(listCollectorColumns(selected)).toEqual(['stargazers', 'commits', 'clones_count', 'clones_uniques']);
+    });
+
+    it('should name the collectors to choose from on an unknown one', () => {
+        core.getInput = jest.fn().mockReturnValue('views, stars');
+
+        expect(() => getCollectors()).toThrow(`Unknown metrics 'stars'. Please choose from "repository", "contributors", "views", "clones", "health", "popular", "releases".`);
+    });
+});
+
+describe('runCollectors', () => {
+    it('should combine the values and files of the collectors', async () => {
+        const selected = [
+            { name: 'a', collect: async () => ({ valuesOn: (date) => ({ a: date }) }) },
+            { name: 'b', collect: async ({ readFile }) => ({ valuesOn: () => ({ b: 2 }), files: [{ name: 'b.json', content: await readFile('b.json') }] }) },
+        ];
+
+        const collected = await runCollectors(selected, { readFile: async (name) => `read ${name}` });
+
+        expect(collected.valuesOn('2024-09-01')).toEqual({ a: '2024-09-01', b: 2 });
+        expect(collected.files).toEqual([{ name: 'b.json', content: 'read b.json' }]);
+    });
+
+    it('should mark the health of days other than the collected one as unavailable', async () => {
+        core.getInput = jest.fn().mockReturnValue('');
+        const health = collectors.find(({ name }) => name === 'health');
+        const counts = Object.fromEntries(['open_issues', 'open_pull_requests', 'issues_opened', 'issues_closed', 'pull_requests_opened', 'pull_requests_closed', 'pull_requests_merged'].map((column) => [column, { issueCount: 3 }]));
+        const octokit = { graphql: jest.fn().mockResolvedValue({ ...counts, search: { pageInfo: { hasNextPage: false }, nodes: [] } }) };
+
+        const { valuesOn } = await health.collect({ octokit, owner: 'o', repo: 'r', dateString: '2024-09-01' });
+
+        expect(valuesOn('2024-09-01').open_issues).toBe(3);
+        expect(valuesOn('2024-08-31').open_issues).toBe('unavailable');
+    });
+});
@@ -0,0 +1,85 @@
+const core = require('@actions/core');
+const { formatCommitMessage, getBlobSha, getCommitAuthor, getCommitMethod, listChangedFiles } = require('../commits');
+
+jest.mock('@actions/core');
+
+describe('getBlobSha', () => {
+    it('should give the SHA git gives the content', () => {
+        expect(getBlobSha({ content: '' })).toBe('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+        expect(getBlobSha({ content: 'hello\n' })).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+        expect(getBlobSha({ content: Buffer.from('hello\n').toString('base64'), encoding: 'base64' })).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+    });
+});
+
+describe('listChangedFiles', () => {
+    const files = [
+        { path: 'same.csv', content: 'hello\n' },
+        { path: 'changed.csv', content: 'hello again\n' },
+        { path: 'new.csv', content: 'hello\n' },
+        { path: 'removed.json', content: null },
+        { path: 'never-stored.json', content: null },
+    ];
+    const existingShas = new Map([
+        ['same.csv', 'ce013625030ba8dba906f756967f9e9ca394464a'],
+        ['changed.csv', 'ce013625030ba8dba906f756967f9e9ca394464a'],
+        ['removed.json', 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391'],
+    ]);
+
+    it('should leave out files that are the same on the branch', () => {
+        expect(listChangedFiles(files, existingShas).map(({ path }) => path)).toEqual(['changed.csv', 'new.csv', 'removed.json']);
+    });
+
+    it('should take every file to change without the files on the branch', () => {
+        expect(listChangedFiles(files, null)).toEqual(files);
+    });
+});
+
+describe('formatCommitMessage', () => {
+    const updates = [
+        { repository: 'fake-owner/fake-repo', stats: { stargazers: 10, traffic_views: 84 } },
+        { repository: 'fake-owner/other-repo', stats: { stargazers: 3, traffic_views: 1 } },
+    ];
+
+    it('should name the repositories by default', () => {
+        expect(formatCommitMessage({ template: '', updates: updates.slice(0, 1), date: '2024-09-01' })).toBe('Update stats file for fake-owner/fake-repo');
+        expect(formatCommitMessage({ template: '', updates, date: '2024-09-01' })).toBe('Update stats files for 2 repositories');
+    });
+
+    it('should fill in the placeholders of the template', () => {
+        const template = 'chore: insights of {repository} on {date}, {stargazers} stars and {traffic_views} views {unknown}';
+
+        expect(formatCommitMessage({ template, updates: updates.slice(0, 1), date: '2024-09-01' }))
+            .toBe('chore: insights of fake-owner/fake-repo on 2024-09-01, 10 stars and 84 views {unknown}');
+        expect(formatCommitMessage({ template, updates, date: '2024-09-01' }))
+            .toBe('chore: insights of 2 repositories on 2024-09-01,  stars and  views {unknown}');
+    });
+});
+
+describe('commit inputs', () => {
+    let inputs;
+
+    beforeEach(() => {
+        inputs = {};
+        core.getInput = jest.fn((key) => inputs[key] || '');
+    });
+
+    it('should leave the author to the token unless both name and email are set', () => {
+        expect(getCommitAuthor()).toBeNull();
+
+        inputs = { 'author-name': 'Insights Bot', 'author-email': 'insights@example.com' };
+        expect(getCommitAuthor()).toEqual({ name: 'Insights Bot', email: 'insights@example.com' });
+
+        inputs = { 'author-name': 'Insights Bot' };
+        expect(() => getCommitAuthor()).toThrow("Inputs 'author-name' and 'author-email' must be set together.");
+    });
+
+    it('should commit through the git data API by default', () => {
+        expect(getCommitMethod()).toBe('git');
+
+        inputs = { 'commit-method': 'Contents' };
+        expect(getCommitMethod()).toBe('contents');
+
+        inputs = { 'commit-method': 'push' };
+        expect(() => getCommitMethod()).toThrow(`Unsupported commit-method 'push'. Please choose one of "git", "contents".`);
+    });
+});
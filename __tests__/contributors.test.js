@@ -0,0 +1,225 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { getContributors, countContributors, parseCoAuthors } = require('../contributors');
+
+function historyPage(nodes, endCursor = null) {
+    return {
+        repository: {
+            defaultBranchRef: {
+                target: {
+                    history: {
+                        pageInfo: { hasNextPage: endCursor !== null, endCursor },
+                        nodes,
+                    },
+                },
+            },
+        },
+    };
+}
+
+// A following page, from the head the walk started at
+function walkPage(nodes, endCursor = null) {
+    return { repository: { object: { history: { pageInfo: { hasNextPage: endCursor !== null, endCursor }, nodes } } } };
+}
+
+function rateLimitError() {
+    return Object.assign(new Error('API rate limit exceeded'), { status: 403, response: { headers: { 'x-ratelimit-remaining': '0' } } });
+}
+
+function commit(oid, author, message = 'Commit message') {
+    return { oid, message, author };
+}
+
+// A commit as listed by the compare endpoint
+function compared(sha, login, name, email) {
+    return { sha, author: login ? { login } : null, commit: { message: 'Commit message', author: { name, email } } };
+}
+
+function comparison(commits) {
+    return { data: { status: 'ahead', total_commits: commits.length, commits } };
+}
+
+describe('Contributor counting', () => {
+    let octokit;
+    let inputs;
+
+    beforeEach(() => {
+        inputs = {};
+        core.getInput = jest.fn((key) => inputs[key] || '');
+        octokit = { graphql: jest.fn(), rest: { repos: { compareCommitsWithBasehead: jest.fn() } } };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should page through the full history and count unlinked authors', async () => {
+        octokit.graphql
+            .mockResolvedValueOnce(historyPage([
+                commit('c3', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+                commit('c2', { name: 'Bob', email: 'bob@example.com', user: null }),
+            ], 'cursor-1'))
+            .mockResolvedValueOnce(walkPage([
+                commit('c1', { name: 'Carol', email: 'carol@example.com', user: { login: 'carol' } }),
+            ]));
+
+        const { contributorsCount, contributorsCache } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent: null,
+        });
+
+        expect(contributorsCount).toBe(3);
+        expect(octokit.graphql).toHaveBeenCalledTimes(2);
+        expect(octokit.graphql.mock.calls[1][1]).toEqual({ owner: 'fake-owner', repo: 'fake-repo', oid: 'c3', cursor: 'cursor-1' });
+        expect(JSON.parse(contributorsCache).head).toBe('c3');
+    });
+
+    it('should pause the scan when the rate limit runs out and resume it on the next run', async () => {
+        octokit.graphql
+            .mockResolvedValueOnce(historyPage([
+                commit('c3', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+            ], 'cursor-1'))
+            .mockRejectedValueOnce(rateLimitError());
+
+        const paused = await getContributors({ octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent: null });
+
+        expect(paused.contributorsCount).toBeNull();
+        expect(JSON.parse(paused.contributorsCache)).toMatchObject({ head: null, walk: { head: 'c3', cursor: 'cursor-1' } });
+
+        octokit.graphql.mockReset();
+        octokit.graphql
+            .mockResolvedValueOnce(walkPage([
+                commit('c2', { name: 'Bob', email: 'bob@example.com', user: { login: 'bob' } }),
+            ], 'cursor-2'))
+            .mockResolvedValueOnce(walkPage([
+                commit('c1', { name: 'Carol', email: 'carol@example.com', user: { login: 'carol' } }),
+            ]));
+
+        const resumed = await getContributors({ octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent: paused.contributorsCache });
+
+        expect(octokit.graphql.mock.calls[0][1]).toEqual({ owner: 'fake-owner', repo: 'fake-repo', oid: 'c3', cursor: 'cursor-1' });
+        expect(resumed.contributorsCount).toBe(3);
+        expect(JSON.parse(resumed.contributorsCache)).toEqual({ head: 'c3', people: expect.any(Array) });
+    });
+
+    it('should keep the cache when the rate limit runs out before the new commits are scanned', async () => {
+        const cache = { head: 'c2', people: [{ login: 'alice', email: 'alice@example.com', name: 'Alice', author: true, coAuthor: false }] };
+        octokit.graphql.mockResolvedValueOnce(historyPage([commit('c3', { name: 'Bob', email: 'bob@example.com', user: { login: 'bob' } })]));
+        octokit.rest.repos.compareCommitsWithBasehead.mockRejectedValueOnce(rateLimitError());
+
+        const { contributorsCount, contributorsCache } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent: JSON.stringify(cache),
+        });
+
+        expect(contributorsCount).toBe(1);
+        expect(JSON.parse(contributorsCache)).toEqual(cache);
+    });
+
+    it('should only scan commits newer than the cached head', async () => {
+        const cacheContent = JSON.stringify({
+            head: 'c2',
+            people: [
+                { login: 'alice', email: 'alice@example.com', name: 'Alice', author: true, coAuthor: false },
+                { login: 'bob', email: 'bob@example.com', name: 'Bob', author: true, coAuthor: false },
+            ],
+        });
+        octokit.graphql.mockResolvedValueOnce(historyPage([
+            commit('c4', { name: 'Dave', email: 'dave@example.com', user: { login: 'dave' } }),
+            commit('c3', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+            commit('c2', { name: 'Bob', email: 'bob@example.com', user: { login: 'bob' } }),
+        ], 'cursor-1'));
+        octokit.rest.repos.compareCommitsWithBasehead.mockResolvedValueOnce(comparison([
+            compared('c3', 'alice', 'Alice', 'alice@example.com'),
+            compared('c4', 'dave', 'Dave', 'dave@example.com'),
+        ]));
+
+        const { contributorsCount, contributorsCache } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent,
+        });
+
+        expect(octokit.graphql).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(expect.objectContaining({ basehead: 'c2...c4', page: 1 }));
+        expect(contributorsCount).toBe(3);
+        expect(JSON.parse(contributorsCache).head).toBe('c4');
+    });
+
+    it('should scan older commits merged after the cached head', async () => {
+        const cacheContent = JSON.stringify({
+            head: 'c2',
+            people: [{ login: 'alice', email: 'alice@example.com', name: 'Alice', author: true, coAuthor: false }],
+        });
+        // The merged branch was started before c2, so its commit is listed after c2
+        octokit.graphql.mockResolvedValueOnce(historyPage([
+            commit('merge', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+            commit('c2', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+            commit('branch', { name: 'Frank', email: 'frank@example.com', user: { login: 'frank' } }),
+            commit('c1', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+        ]));
+        octokit.rest.repos.compareCommitsWithBasehead.mockResolvedValueOnce(comparison([
+            compared('branch', 'frank', 'Frank', 'frank@example.com'),
+            compared('merge', 'alice', 'Alice', 'alice@example.com'),
+        ]));
+
+        const { contributorsCount } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent,
+        });
+
+        expect(contributorsCount).toBe(2);
+    });
+
+    it('should rescan the full history when the cached head is gone', async () => {
+        const cacheContent = JSON.stringify({
+            head: 'rewritten',
+            people: [{ login: 'ghost', email: null, name: null, author: true, coAuthor: false }],
+        });
+        octokit.graphql.mockResolvedValueOnce(historyPage([
+            commit('c1', { name: 'Alice', email: 'alice@example.com', user: { login: 'alice' } }),
+        ]));
+        octokit.rest.repos.compareCommitsWithBasehead.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }));
+
+        const { contributorsCount } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent,
+        });
+
+        expect(contributorsCount).toBe(1);
+    });
+
+    it('should count co-authors and dedupe by email when enabled', async () => {
+        inputs = {
+            'contributors-include-co-authors': 'true',
+            'contributors-dedupe-by-email': 'true',
+        };
+        octokit.graphql.mockResolvedValueOnce(historyPage([
+            commit('c3', { name: 'Alice', email: 'Alice@example.com', user: { login: 'alice' } },
+                'Pair programming\n\nCo-authored-by: Erin <erin@example.com>'),
+            commit('c2', { name: 'Alice (laptop)', email: 'alice@example.com', user: null }),
+            commit('c1', { name: 'alice', email: 'alice@example.com', user: null }),
+        ]));
+
+        const { contributorsCount } = await getContributors({
+            octokit, owner: 'fake-owner', repo: 'fake-repo', cacheContent: null,
+        });
+
+        expect(contributorsCount).toBe(2);
+    });
+
+    it('should apply the counting options to the same people', () => {
+        const people = [
+            { login: 'alice', email: 'alice@example.com', name: 'Alice', author: true, coAuthor: false },
+            { login: null, email: 'alice@example.com', name: 'A. Smith', author: true, coAuthor: false },
+            { login: null, email: 'erin@example.com', name: 'Erin', author: false, coAuthor: true },
+        ];
+
+        expect(countContributors(people, { dedupeByEmail: false, includeCoAuthors: false })).toBe(2);
+        expect(countContributors(people, { dedupeByEmail: true, includeCoAuthors: false })).toBe(1);
+        expect(countContributors(people, { dedupeByEmail: true, includeCoAuthors: true })).toBe(2);
+    });
+
+    it('should parse co-author trailers', () => {
+        expect(parseCoAuthors('Fix bug\n\nCo-authored-by: Jane Doe <jane@example.com>\nco-authored-by: John <john@example.com>')).toEqual([
+            { name: 'Jane Doe', email: 'jane@example.com' },
+            { name: 'John', email: 'john@example.com' },
+        ]);
+    });
+});
@@ -0,0 +1,58 @@
+const core = require('@actions/core');
+const { renderDashboard, renderLineChart } = require('../dashboard');
+
+jest.mock('@actions/core');
+
+describe('Dashboard', () => {
+    const rows = [
+        { date: '2024-08-30', stargazers: '10', traffic_views: '20', traffic_uniques: '5', clones_count: '2', clones_uniques: '1' },
+        { date: '2024-08-31', stargazers: 'unavailable', traffic_views: 'unavailable', traffic_uniques: 'unavailable', clones_count: 'unavailable', clones_uniques: 'unavailable' },
+        { date: '2024-09-01', stargazers: 12, traffic_views: 40, traffic_uniques: 8, clones_count: 3, clones_uniques: 2 },
+        { date: '2024-09-02', stargazers: 13, traffic_views: 30, traffic_uniques: 6, clones_count: 1, clones_uniques: 1 },
+    ];
+
+    beforeEach(() => {
+        core.getInput = jest.fn().mockReturnValue('');
+    });
+
+    it('should render the charts and a self-contained index page', () => {
+        const files = renderDashboard({ repository: 'fake-owner/fake-repo', rows });
+
+        expect(files.map((file) => file.name)).toEqual(['stars.svg', 'views.svg', 'clones.svg', 'index.html']);
+
+        const html = files.find((file) => file.name === 'index.html').content;
+        expect(html).toContain('<title>Insights for fake-owner/fake-repo</title>');
+        expect(html.match(/<svg /g)).toHaveLength(3);
+        expect(html).not.toMatch(/(src|href)="http/);
+    });
+
+    it('should only chart the chosen collectors', () => {
+        core.getInput = jest.fn((key) => key === 'metrics' ? 'views, health' : '');
+
+        const files = renderDashboard({ repository: 'fake-owner/fake-repo', rows });
+
+        expect(files.map((file) => file.name)).toEqual(['views.svg', 'index.html']);
+        expect(files[1].content.match(/<svg /g)).toHaveLength(1);
+    });
+
+    it('should leave a gap for unavailable days', () => {
+        const svg = renderLineChart({
+            title: 'Stars',
+            rows,
+            series: [{ column: 'stargazers', name: 'Stars', color: '#000000' }],
+        });
+
+        // The first day stands alone, the last two days are joined by a line
+        expect(svg.match(/<circle /g)).toHaveLength(1);
+        expect(svg.match(/<polyline /g)).toHaveLength(1);
+        expect(svg).toContain('>2024-08-30</text>');
+        expect(svg).toContain('>2024-09-02</text>');
+    });
+
+    it('should escape the text it renders', () => {
+        const html = renderDashboard({ repository: 'owner/<repo>', rows: [] })[3].content;
+
+        expect(html).not.toContain('<repo>');
+        expect(html).toContain('<h1>Insights for owner/&lt;repo&gt;</h1>');
+    });
+});
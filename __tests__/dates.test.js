@@ -0,0 +1,33 @@
+const { getYesterdayDateString, isCompleteDate, listDates, toDateStringInTimeZone } = require('../dates');
+
+describe('Dates', () => {
+    beforeEach(() => {
+        // 20:00 on the 1st in UTC is already the 2nd in Tokyo, but still the 1st in Los Angeles
+        jest.useFakeTimers({ now: new Date('2024-09-01T20:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should tell the date in a time zone', () => {
+        expect(toDateStringInTimeZone(new Date(), 'Asia/Tokyo')).toBe('2024-09-02');
+        expect(toDateStringInTimeZone(new Date(), 'America/Los_Angeles')).toBe('2024-09-01');
+        expect(() => toDateStringInTimeZone(new Date(), 'Mars/Olympus_Mons')).toThrow(RangeError);
+    });
+
+    it('should tell yesterday in UTC unless another time zone is given', () => {
+        expect(getYesterdayDateString()).toBe('2024-08-31');
+        expect(getYesterdayDateString('Asia/Tokyo')).toBe('2024-09-01');
+        expect(getYesterdayDateString('America/Los_Angeles')).toBe('2024-08-31');
+    });
+
+    it('should only consider days before today in UTC complete', () => {
+        expect(isCompleteDate('2024-08-31')).toBe(true);
+        expect(isCompleteDate('2024-09-01')).toBe(false);
+    });
+
+    it('should list dates across months', () => {
+        expect(listDates('2024-08-30', '2024-09-02')).toEqual(['2024-08-30', '2024-08-31', '2024-09-01', '2024-09-02']);
+    });
+});
@@ -0,0 +1,93 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { getHealthMetrics } = require('../health');
+
+function searchPage(nodes, endCursor = null) {
+    return { search: { pageInfo: { hasNextPage: endCursor !== null, endCursor }, nodes } };
+}
+
+function comment(login, createdAt, type = 'User') {
+    return { createdAt, author: { login, __typename: type } };
+}
+
+describe('Health metrics', () => {
+    let octokit;
+
+    beforeEach(() => {
+        core.getInput = jest.fn(() => '');
+        octokit = { graphql: jest.fn() };
+    });
+
+    it('should count issues and pull requests and compute the medians', async () => {
+        octokit.graphql
+            .mockResolvedValueOnce({
+                open_issues: { issueCount: 12 },
+                open_pull_requests: { issueCount: 3 },
+                issues_opened: { issueCount: 2 },
+                issues_closed: { issueCount: 1 },
+                pull_requests_opened: { issueCount: 4 },
+                pull_requests_closed: { issueCount: 0 },
+                pull_requests_merged: { issueCount: 5 },
+            })
+            .mockResolvedValueOnce(searchPage([
+                // Answered after two hours, ignoring the author and the bot
+                {
+                    createdAt: '2024-08-20T10:00:00Z',
+                    author: { login: 'alice' },
+                    comments: { nodes: [comment('alice', '2024-08-20T10:30:00Z'), comment('helper', '2024-08-20T11:00:00Z', 'Bot'), comment('bob', '2024-08-20T12:00:00Z')] },
+                },
+                // Reviewed after four hours
+                {
+                    createdAt: '2024-08-21T10:00:00Z',
+                    author: { login: 'carol' },
+                    comments: { nodes: [comment('bob', '2024-08-21T16:00:00Z')] },
+                    reviews: { nodes: [comment('bob', '2024-08-21T14:00:00Z')] },
+                },
+            ], 'cursor-1'))
+            .mockResolvedValueOnce(searchPage([
+                // Still waiting for a response
+                { createdAt: '2024-08-22T10:00:00Z', author: { login: 'dave' }, comments: { nodes: [] } },
+            ]))
+            .mockResolvedValueOnce(searchPage([
+                { createdAt: '2024-08-20T00:00:00Z', mergedAt: '2024-08-21T00:00:00Z' },
+                { createdAt: '2024-08-20T00:00:00Z', mergedAt: '2024-08-20T01:30:00Z' },
+                { createdAt: '2024-08-20T00:00:00Z', mergedAt: '2024-08-20T03:00:00Z' },
+            ]));
+
+        const health = await getHealthMetrics({ octokit, owner: 'fake-owner', repo: 'fake-repo', dateString: '2024-09-01' });
+
+        expect(health).toEqual({
+            open_issues: 12,
+            open_pull_requests: 3,
+            issues_opened: 2,
+            issues_closed: 1,
+            pull_requests_opened: 4,
+            pull_requests_closed: 0,
+            pull_requests_merged: 5,
+            median_first_response_hours: 3,
+            median_merge_hours: 3,
+        });
+        expect(octokit.graphql.mock.calls[0][1]).toMatchObject({
+            issues_opened: 'repo:fake-owner/fake-repo is:issue created:2024-09-01',
+            pull_requests_closed: 'repo:fake-owner/fake-repo is:pr is:unmerged closed:2024-09-01',
+        });
+        expect(octokit.graphql.mock.calls[1][1]).toEqual({ query: 'repo:fake-owner/fake-repo created:2024-08-05..2024-09-01', cursor: null });
+        expect(octokit.graphql.mock.calls[2][1]).toEqual({ query: 'repo:fake-owner/fake-repo created:2024-08-05..2024-09-01', cursor: 'cursor-1' });
+        expect(octokit.graphql.mock.calls[3][1].query).toBe('repo:fake-owner/fake-repo is:pr merged:2024-08-05..2024-09-01');
+    });
+
+    it('should leave the medians empty without any responses or merges in the window', async () => {
+        core.getInput = jest.fn((key) => key === 'health-window' ? '7' : '');
+        octokit.graphql
+            .mockResolvedValueOnce(Object.fromEntries(['open_issues', 'open_pull_requests', 'issues_opened', 'issues_closed', 'pull_requests_opened', 'pull_requests_closed', 'pull_requests_merged'].map((column) => [column, { issueCount: 0 }])))
+            .mockResolvedValue(searchPage([]));
+
+        const health = await getHealthMetrics({ octokit, owner: 'fake-owner', repo: 'fake-repo', dateString: '2024-09-01' });
+
+        expect(health.median_first_response_hours).toBeNull();
+        expect(health.median_merge_hours).toBeNull();
+        expect(octokit.graphql.mock.calls[1][1].query).toBe('repo:fake-owner/fake-repo created:2024-08-26..2024-09-01');
+    });
+});
@@ -0,0 +1,26 @@
+const core = require('@actions/core');
+
+// A row of the stats file with the given stars and views, and fixed values
+// for the other metrics
+function day(date, stargazers, views) {
+    return {
+        date,
+        stargazers,
+        commits: 100,
+        contributors: 4,
+        traffic_views: views,
+        traffic_uniques: 1,
+        clones_count: 0,
+        clones_uniques: 0,
+    };
+}
+
+// Needs jest.mock('@actions/core') in the test file
+function mockInputs(inputs) {
+    core.getInput = jest.fn((key) => inputs[key] || '');
+}
+
+module.exports = {
+    day,
+    mockInputs,
+};
@@ -1,11 +1,32 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listDates } = require('../dates');
 
 jest.mock('@actions/core');
 jest.mock('@actions/github');
 
 const { run } = require('../load');
 
+// Every issue and pull request search of the health metrics finds nothing
+const healthResponse = {
+    ...Object.fromEntries([
+        'open_issues',
+        'open_pull_requests',
+        'issues_opened',
+        'issues_closed',
+        'pull_requests_opened',
+        'pull_requests_closed',
+        'pull_requests_merged',
+    ].map((column) => [column, { issueCount: 0 }])),
+    search: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] },
+};
+
+// The tree of the branch head, holding these files
+const branchTree = (...paths) => ({ data: { tree: paths.map((path) => ({ path: `data/fake-owner/fake-repo/${path}`, type: 'blob', sha: 'stored-sha' })), truncated: false } });
+
 describe('Update Repository Stats Action', () => {
     let octokit;
 
@@ -17,13 +38,20 @@ describe('Update Repository Stats Action', () => {
         octokit = {
             rest: {
                 repos: {
+                    get: jest.fn(),
                     getViews: jest.fn(),
                     getClones: jest.fn(),
                     getContent: jest.fn(),  // Mock getContent
+                    getTopReferrers: jest.fn().mockResolvedValue({ data: [] }),
+                    getTopPaths: jest.fn().mockResolvedValue({ data: [] }),
+                    listReleases: jest.fn(),
                 },
                 git: {
                     getRef: jest.fn(),
+                    createRef: jest.fn(),
+                    getBlob: jest.fn(),
                     getCommit: jest.fn(),
+                    getTree: jest.fn().mockResolvedValue({ data: { tree: [], truncated: false } }),
                     createBlob: jest.fn(),
                     createTree: jest.fn(),
                     createCommit: jest.fn(),
@@ -31,6 +59,7 @@ describe('Update Repository Stats Action', () => {
                 },
             },
             graphql: jest.fn(), // Mock the graphql method
+            paginate: jest.fn().mockResolvedValue([]),
         };
 
         github.getOctokit.mockReturnValue(octokit); // Return the mocked octokit
@@ -215,14 +244,20 @@ describe('Update Repository Stats Action', () => {
             }
         });
 
-        // Mock the Date constructor to return a fixed date
-        const mockDate = new Date('2024-09-02T00:00:00Z');
-        jest.spyOn(global, 'Date').mockImplementation(() => mockDate);
+        // No star and commit history rebuild is in progress, and the files predate the schema and rollups
+        const getContent = octokit.rest.repos.getContent.getMockImplementation();
+        octokit.rest.repos.getContent.mockImplementation((params) => /(history-checkpoint|schema|weekly|monthly|yearly)\.json$/.test(params.path)
+            ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+            : getContent(params));
+
+        // Fix the current date, letting timers advance with the real clock
+        jest.useFakeTimers({ now: new Date('2024-09-02T00:00:00Z'), advanceTimers: true });
     });
 
     afterEach(() => {
         jest.clearAllMocks();
-        jest.restoreAllMocks(); // Restore Date to its original state
+        jest.restoreAllMocks();
+        jest.useRealTimers(); // Restore Date to its original state
     });
 
     it('should fetch repository statistics and commit to the correct branch', async () => {
@@ -258,6 +293,7 @@ describe('Update Repository Stats Action', () => {
         octokit.rest.git.updateRef.mockResolvedValue({});
 
         octokit.graphql.mockResolvedValue({
+            ...healthResponse,
             repository: {
                 stargazerCount: 10,
                 defaultBranchRef: {
@@ -295,6 +331,13 @@ describe('Update Repository Stats Action', () => {
         expect(core.setOutput).toHaveBeenCalledWith('traffic_uniques', 1);
         expect(core.setOutput).toHaveBeenCalledWith('clones_count', 10);
         expect(core.setOutput).toHaveBeenCalledWith('clones_uniques', 1);
+
+        // Aggregates over the stored history
+        expect(core.setOutput).toHaveBeenCalledWith('views_7d', 384);
+        expect(core.setOutput).toHaveBeenCalledWith('views_delta_7d', 34);
+        expect(core.setOutput).toHaveBeenCalledWith('stars_delta_7d', 5);
+        expect(core.setOutput).toHaveBeenCalledWith('stars_delta_28d', null);
+        expect(core.summary.write).toHaveBeenCalled();
     });
 
     it('should handle empty repository statistics correctly', async () => {
@@ -330,6 +373,7 @@ describe('Update Repository Stats Action', () => {
         octokit.rest.git.updateRef.mockResolvedValue({});
 
         octokit.graphql.mockResolvedValue({
+            ...healthResponse,
             repository: {
                 stargazerCount: 0, // No stargazers
                 defaultBranchRef: {
@@ -354,4 +398,1228 @@ describe('Update Repository Stats Action', () => {
         expect(core.setOutput).toHaveBeenCalledWith('clones_count', 0);
         expect(core.setOutput).toHaveBeenCalledWith('clones_uniques', 0);
     });
-});
\ No newline at end of file
+
+    it('should collect several repositories into a single commit', async () => {
+        const getInput = core.getInput.getMockImplementation();
+        core.getInput = jest.fn((key) => key === 'repositories' ? 'fake-owner/repo-one\nfake-owner/repo-two' : getInput(key));
+
+        octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 3,
+                defaultBranchRef: { target: { history: { totalCount: 5, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(octokit.rest.git.createTree).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path)).toEqual([
+            'data/fake-owner/repo-one/stats.json',
+            'data/fake-owner/repo-one/schema.json',
+            'data/fake-owner/repo-one/contributors-cache.json',
+            'data/fake-owner/repo-one/referrers.json',
+            'data/fake-owner/repo-one/paths.json',
+            'data/fake-owner/repo-one/releases.json',
+            'data/fake-owner/repo-one/weekly.json',
+            'data/fake-owner/repo-one/monthly.json',
+            'data/fake-owner/repo-one/yearly.json',
+            'data/fake-owner/repo-two/stats.json',
+            'data/fake-owner/repo-two/schema.json',
+            'data/fake-owner/repo-two/contributors-cache.json',
+            'data/fake-owner/repo-two/referrers.json',
+            'data/fake-owner/repo-two/paths.json',
+            'data/fake-owner/repo-two/releases.json',
+            'data/fake-owner/repo-two/weekly.json',
+            'data/fake-owner/repo-two/monthly.json',
+            'data/fake-owner/repo-two/yearly.json',
+        ]);
+        expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'Update stats files for 2 repositories',
+        }));
+        expect(octokit.rest.git.updateRef).toHaveBeenCalledTimes(1);
+
+        const results = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'results')[1]);
+        expect(results.map((result) => result.repository)).toEqual(['fake-owner/repo-one', 'fake-owner/repo-two']);
+        expect(results[0].stargazers).toBe(3);
+    });
+
+    it('should backfill missing days and mark lost days as unavailable', async () => {
+        const stats = [
+            { date: '2024-08-16', stargazers: 5, commits: 15, contributors: 2, traffic_views: 50, traffic_uniques: 10, clones_count: 7, clones_uniques: 3 },
+            { date: '2024-08-31', stargazers: 5, commits: 15, contributors: 2, traffic_views: 50, traffic_uniques: 10, clones_count: 7, clones_uniques: 3 },
+        ];
+        octokit.rest.repos.getContent.mockImplementation(({ path }) => path.endsWith('stats.json')
+            ? Promise.resolve({ data: { content: Buffer.from(JSON.stringify(stats)).toString('base64') } })
+            : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+        octokit.rest.repos.getViews.mockResolvedValue({
+            data: { views: [
+                { timestamp: '2024-08-20T00:00:00Z', count: 12, uniques: 4 },
+                { timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 },
+            ] },
+        });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(octokit.rest.repos.getViews).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.repos.getClones).toHaveBeenCalledTimes(1);
+
+        const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+        const byDate = Object.fromEntries(entries.map((entry) => [entry.date, entry]));
+
+        expect(entries.map((entry) => entry.date)).toEqual([
+            '2024-08-16', '2024-08-17', '2024-08-18', '2024-08-19', '2024-08-20', '2024-08-21',
+            '2024-08-22', '2024-08-23', '2024-08-24', '2024-08-25', '2024-08-26', '2024-08-27',
+            '2024-08-28', '2024-08-29', '2024-08-30', '2024-08-31', '2024-09-01',
+        ]);
+        expect(byDate['2024-08-17'].traffic_views).toBe('unavailable');
+        expect(byDate['2024-08-18'].stargazers).toBe('unavailable');
+        expect(byDate['2024-08-20'].traffic_views).toBe(12);
+        expect(byDate['2024-08-31'].traffic_views).toBe(50); // Recorded days are kept
+        expect(byDate['2024-09-01'].traffic_views).toBe(84);
+    });
+
+    describe('when reading the existing stats file', () => {
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        const mockStatsFile = (response) => {
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => /stats\.(json|csv)$/.test(path)
+                ? response()
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+        };
+
+        it('should fail without committing when the file cannot be read', async () => {
+            mockStatsFile(() => Promise.reject(Object.assign(new Error('API rate limit exceeded'), { status: 403 })));
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('(HTTP 403): API rate limit exceeded'));
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        });
+
+        it('should fail without committing when the file is corrupt', async () => {
+            mockStatsFile(() => Promise.resolve({ data: { content: Buffer.from('[{ "date": "2024-08-31" }, {').toString('base64') } }));
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("set 'repair' to 'true'"));
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        });
+
+        it('should keep the valid rows of a corrupt file in repair mode', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'repair' ? 'true' : getInput(key));
+            mockStatsFile(() => Promise.resolve({ data: { content: Buffer.from('[{ "date": "2024-08-31", "stargazers": 4 }, {').toString('base64') } }));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries.find((entry) => entry.date === '2024-08-31')).toEqual({ date: '2024-08-31', stargazers: 4 });
+        });
+
+        it('should add new columns to a CSV file started with fewer columns', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'format' ? 'csv' : getInput(key));
+            mockStatsFile(() => Promise.resolve({ data: { content: Buffer.from('date,stargazers,commits\n2024-08-31,4,50\n').toString('base64') } }));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const [header, ...lines] = octokit.rest.git.createBlob.mock.calls[0][0].content.split('\n');
+            expect(header).toBe('date,stargazers,commits,contributors,traffic_views,traffic_uniques,clones_count,clones_uniques,' +
+                'open_issues,open_pull_requests,issues_opened,issues_closed,pull_requests_opened,pull_requests_closed,pull_requests_merged,' +
+                'median_first_response_hours,median_merge_hours,provisional');
+            expect(lines.find((line) => line.startsWith('2024-08-31,'))).toBe('2024-08-31,4,50,,,,,,,,,,,,,,,');
+            expect(lines[lines.length - 1].split(',')).toHaveLength(18);
+        });
+
+        const mockFiles = (files) => {
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => {
+                const name = Object.keys(files).find((file) => path.endsWith(file));
+                return name
+                    ? Promise.resolve({ data: { content: Buffer.from(files[name]).toString('base64') } })
+                    : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+            });
+        };
+
+        it('should convert the files stored in another format when the format changes', async () => {
+            mockFiles({
+                'stats.csv': 'date,stargazers,commits\n2024-08-31,4,50\n',
+                'releases.csv': 'date,release,asset,download_count\n2024-08-31,v1,app.zip,7\n',
+            });
+            octokit.rest.git.getTree.mockResolvedValue(branchTree('stats.csv', 'releases.csv'));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+            expect(tree).toContainEqual({ path: 'data/fake-owner/fake-repo/stats.csv', mode: '100644', type: 'blob', sha: null });
+            expect(tree).toContainEqual({ path: 'data/fake-owner/fake-repo/releases.csv', mode: '100644', type: 'blob', sha: null });
+            expect(tree.map((entry) => entry.path)).not.toContain('data/fake-owner/fake-repo/referrers.csv'); // Never stored
+            const blobs = octokit.rest.git.createBlob.mock.calls.map(([{ content }]) => content);
+            expect(JSON.parse(blobs[0]).find((entry) => entry.date === '2024-08-31')).toEqual({ date: '2024-08-31', stargazers: 4, commits: 50 });
+            expect(JSON.parse(blobs[1])).toMatchObject({ version: 3, format: 'json' });
+            expect(octokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), expect.anything()); // Not a new stats file
+        });
+
+        it('should read the format recorded in the schema over a file left from before', async () => {
+            mockFiles({
+                'schema.json': JSON.stringify({ version: 2, format: 'csv', columns: ['date', 'stargazers'] }),
+                'stats.csv': 'date,stargazers\n2024-08-31,8\n',
+                'stats.json': JSON.stringify([{ date: '2024-08-31', stargazers: 1 }]),
+            });
+
+            await run();
+
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries.find((entry) => entry.date === '2024-08-31').stargazers).toBe(8);
+        });
+
+        it('should keep the values of columns that are no longer written', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'format' ? 'csv' : getInput(key));
+            mockStatsFile(() => Promise.resolve({ data: { content: Buffer.from('date,stargazers,watchers\n2024-08-31,4,12\n').toString('base64') } }));
+
+            await run();
+
+            const [header, ...lines] = octokit.rest.git.createBlob.mock.calls[0][0].content.split('\n');
+            expect(header.endsWith(',provisional,watchers')).toBe(true);
+            expect(lines.find((line) => line.startsWith('2024-08-31,'))).toBe('2024-08-31,4,,,,,,,,,,,,,,,,,12');
+            expect(lines.find((line) => line.startsWith('2024-09-01,')).endsWith(',')).toBe(true);
+            const schema = JSON.parse(octokit.rest.git.createBlob.mock.calls[1][0].content);
+            expect(schema).toMatchObject({ version: 3, format: 'csv' });
+            expect(schema.columns[schema.columns.length - 1]).toBe('watchers');
+        });
+
+        it('should not touch files written with a newer schema version', async () => {
+            mockFiles({ 'schema.json': JSON.stringify({ version: 99, format: 'json' }), 'stats.json': '[]' });
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('schema version 99'));
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        });
+
+        it('should read files over 1 MB through the blob API', async () => {
+            mockStatsFile(() => Promise.resolve({ data: { content: '', encoding: 'none', size: 2000000, sha: 'fake-file-sha' } }));
+            octokit.rest.git.getBlob.mockResolvedValue({
+                data: { content: Buffer.from(JSON.stringify([{ date: '2024-08-31', stargazers: 4 }])).toString('base64') },
+            });
+
+            await run();
+
+            expect(octokit.rest.git.getBlob).toHaveBeenCalledWith({ owner: 'fake-owner', repo: 'fake-repo', file_sha: 'fake-file-sha' });
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries.find((entry) => entry.date === '2024-08-31')).toEqual({ date: '2024-08-31', stargazers: 4 });
+        });
+    });
+
+    describe('when another job updates the branch concurrently', () => {
+        const conflict = () => Object.assign(new Error('Update is not a fast forward'), { status: 422 });
+
+        beforeEach(() => {
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        it('should merge the stats file again on top of the new head and retry', async () => {
+            octokit.rest.git.getRef
+                .mockResolvedValueOnce({ data: { object: { sha: 'fake-sha' } } }) // ensureBranchExists
+                .mockResolvedValueOnce({ data: { object: { sha: 'fake-sha' } } })
+                .mockResolvedValueOnce({ data: { object: { sha: 'other-job-sha' } } });
+            octokit.rest.git.updateRef.mockRejectedValueOnce(conflict()).mockResolvedValueOnce({});
+            octokit.rest.repos.getContent.mockImplementation(({ path, ref }) => {
+                if (!path.endsWith('stats.json')) {
+                    return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+                }
+                const stats = ref === 'other-job-sha' ? [{ date: '2024-08-30', stargazers: 9 }] : [];
+                return Promise.resolve({ data: { content: Buffer.from(JSON.stringify(stats)).toString('base64') } });
+            });
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).toHaveBeenCalledTimes(2);
+            expect(octokit.rest.git.createCommit).toHaveBeenLastCalledWith(expect.objectContaining({ parents: ['other-job-sha'] }));
+            expect(octokit.rest.git.updateRef).toHaveBeenLastCalledWith(expect.objectContaining({ force: false }));
+
+            // The stats file is the first of the nine files of the second attempt
+            const lastStatsBlob = JSON.parse(octokit.rest.git.createBlob.mock.calls[9][0].content);
+            expect(lastStatsBlob.find((entry) => entry.date === '2024-08-30')).toEqual({ date: '2024-08-30', stargazers: 9 });
+            expect(lastStatsBlob.find((entry) => entry.date === '2024-09-01').traffic_views).toBe(84);
+        });
+
+        it('should fail with a clear error once the retries are exhausted', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'commit-retries' ? '2' : getInput(key));
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.updateRef.mockRejectedValue(conflict());
+
+            await run();
+
+            expect(octokit.rest.git.updateRef).toHaveBeenCalledTimes(3);
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("Unable to update branch 'main' after 2 retries"));
+        });
+
+        it('should not retry other errors', async () => {
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.updateRef.mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }));
+
+            await run();
+
+            expect(octokit.rest.git.updateRef).toHaveBeenCalledTimes(1);
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Resource not accessible by integration'));
+        });
+    });
+
+    describe('when the insights branch does not exist', () => {
+        const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'develop' } });
+            octokit.rest.git.getRef
+                .mockRejectedValueOnce(notFound())
+                .mockResolvedValue({ data: { object: { sha: 'base-sha' } } });
+            octokit.rest.git.createRef.mockResolvedValue({});
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        it('should create it from the default branch of the repository', async () => {
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.getRef).toHaveBeenCalledWith({ owner: 'fake-owner', repo: 'fake-repo', ref: 'heads/develop' });
+            expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+                owner: 'fake-owner', repo: 'fake-repo', ref: 'refs/heads/main', sha: 'base-sha',
+            });
+        });
+
+        it('should create it from the configured base branch', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'base-branch' ? 'master' : getInput(key));
+
+            await run();
+
+            expect(octokit.rest.repos.get).not.toHaveBeenCalled();
+            expect(octokit.rest.git.getRef).toHaveBeenCalledWith({ owner: 'fake-owner', repo: 'fake-repo', ref: 'heads/master' });
+        });
+
+        it('should create an orphan branch holding only the insights directory', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'orphan' ? 'true' : getInput(key));
+            octokit.rest.git.createTree.mockResolvedValueOnce({ data: { sha: 'orphan-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValueOnce({ data: { sha: 'orphan-commit-sha' } });
+
+            await run();
+
+            expect(octokit.rest.git.createTree.mock.calls[0][0]).toEqual({
+                owner: 'fake-owner',
+                repo: 'fake-repo',
+                tree: [expect.objectContaining({ path: 'data/README.md' })],
+            });
+            expect(octokit.rest.git.createCommit.mock.calls[0][0]).toEqual(expect.objectContaining({ tree: 'orphan-tree-sha', parents: [] }));
+            expect(octokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({ sha: 'orphan-commit-sha' }));
+        });
+    });
+
+    it('should commit the dashboard next to the stats file when enabled', async () => {
+        const getInput = core.getInput.getMockImplementation();
+        core.getInput = jest.fn((key) => key === 'dashboard' ? 'true' : getInput(key));
+
+        octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        expect(octokit.rest.git.createCommit).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path)).toEqual(expect.arrayContaining([
+            'data/fake-owner/fake-repo/stats.json',
+            'data/fake-owner/fake-repo/stars.svg',
+            'data/fake-owner/fake-repo/views.svg',
+            'data/fake-owner/fake-repo/clones.svg',
+            'data/fake-owner/fake-repo/index.html',
+        ]));
+    });
+
+    it('should commit a badge file for every configured badge', async () => {
+        const getInput = core.getInput.getMockImplementation();
+        core.getInput = jest.fn((key) => key === 'badges' ? 'stars, views:14d' : getInput(key));
+
+        octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+        expect(paths).toEqual(expect.arrayContaining([
+            'data/fake-owner/fake-repo/badges/stars-total.json',
+            'data/fake-owner/fake-repo/badges/views-14d.json',
+        ]));
+        const badge = octokit.rest.git.createBlob.mock.calls[paths.indexOf('data/fake-owner/fake-repo/badges/stars-total.json')][0].content;
+        expect(JSON.parse(badge)).toEqual({ schemaVersion: 1, label: 'stars', message: '10', color: 'blue' });
+    });
+
+    it('should fail before collecting anything when a badge is invalid', async () => {
+        const getInput = core.getInput.getMockImplementation();
+        core.getInput = jest.fn((key) => key === 'badges' ? 'forks' : getInput(key));
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("Invalid badge 'forks'"));
+        expect(octokit.graphql).not.toHaveBeenCalled();
+    });
+
+    it('should set the alerts raised against the stored history as output', async () => {
+        const getInput = core.getInput.getMockImplementation();
+        core.getInput = jest.fn((key) => key === 'alert-thresholds' ? 'views: zscore=3' : getInput(key));
+
+        octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        // Yesterday's views dropped to nothing after 50 views a day
+        const alerts = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'alerts')[1]);
+        expect(alerts).toEqual([expect.objectContaining({ repository: 'fake-owner/fake-repo', metric: 'views', value: 0, baseline: 50 })]);
+        expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should commit the release asset download counts and set the downloads as output', async () => {
+        const getContent = octokit.rest.repos.getContent.getMockImplementation();
+        octokit.rest.repos.getContent.mockImplementation((params) => params.path.endsWith('releases.json')
+            ? Promise.resolve({
+                data: {
+                    type: 'file',
+                    content: Buffer.from(JSON.stringify([
+                        { date: '2024-08-31', release: 'v1.0.0', asset: 'app.zip', download_count: 100 },
+                    ])).toString('base64'),
+                },
+            })
+            : getContent(params));
+        octokit.paginate.mockResolvedValue([
+            { tag_name: 'v1.1.0', assets: [{ name: 'app.zip', download_count: 5 }] },
+            { tag_name: 'v1.0.0', assets: [{ name: 'app.zip', download_count: 120 }] },
+        ]);
+        octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listReleases, expect.objectContaining({ owner: 'fake-owner', repo: 'fake-repo' }));
+        const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+        const releases = JSON.parse(octokit.rest.git.createBlob.mock.calls[paths.indexOf('data/fake-owner/fake-repo/releases.json')][0].content);
+        expect(releases).toEqual([
+            { date: '2024-08-31', release: 'v1.0.0', asset: 'app.zip', download_count: 100 },
+            { date: '2024-09-01', release: 'v1.1.0', asset: 'app.zip', download_count: 5 },
+            { date: '2024-09-01', release: 'v1.0.0', asset: 'app.zip', download_count: 120 },
+        ]);
+        expect(core.setOutput).toHaveBeenCalledWith('release_downloads', 25);
+        expect(core.setOutput).toHaveBeenCalledWith('release_downloads_total', 125);
+    });
+
+    it('should update the weekly, monthly and yearly rollups in the same commit', async () => {
+        const getContent = octokit.rest.repos.getContent.getMockImplementation();
+        octokit.rest.repos.getContent.mockImplementation((params) => params.path.endsWith('monthly.json')
+            ? Promise.resolve({ data: { content: Buffer.from(JSON.stringify([{ date: '2024-07-01', period: '2024-07', traffic_views: 700 }])).toString('base64') } })
+            : getContent(params));
+        octokit.rest.repos.getViews.mockResolvedValue({
+            data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+        });
+        octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+        octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+        octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+        octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+        octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+        octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+        octokit.rest.git.updateRef.mockResolvedValue({});
+        octokit.graphql.mockResolvedValue({
+            ...healthResponse,
+            repository: {
+                stargazerCount: 10,
+                defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+            },
+        });
+
+        await run();
+
+        expect(octokit.rest.git.createCommit).toHaveBeenCalledTimes(1);
+        const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+        const readBlob = (name) => JSON.parse(octokit.rest.git.createBlob.mock.calls[paths.indexOf(`data/fake-owner/fake-repo/${name}`)][0].content);
+        expect(readBlob('weekly.json').pop()).toMatchObject({ period: '2024-W35', days: 7, complete: true, traffic_views: 6 * 50 + 84, stargazers: 10 });
+        expect(readBlob('monthly.json').map(({ period, traffic_views }) => [period, traffic_views])).toEqual([
+            ['2024-07', 700],
+            ['2024-09', 84], // Only the month of the new day is computed in a rollup that exists
+        ]);
+        expect(readBlob('yearly.json')).toEqual([expect.objectContaining({ period: '2024', stargazers: 10, complete: false })]);
+    });
+
+    describe('when rebuilding the star and commit history', () => {
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockImplementation((query) => {
+                const pageInfo = { hasNextPage: false, endCursor: null };
+                if (query.includes('STARRED_AT')) {
+                    return Promise.resolve({ repository: { stargazers: { pageInfo, edges: [
+                        { starredAt: '2024-08-01T12:00:00Z' },
+                        { starredAt: '2024-08-10T12:00:00Z' },
+                    ] } } });
+                } else if (query.includes('committedDate')) {
+                    return Promise.resolve({ repository: { defaultBranchRef: { target: { history: { pageInfo, nodes: [
+                        { committedDate: '2024-07-30T12:00:00Z' },
+                        { committedDate: '2024-08-25T12:00:00Z' },
+                    ] } } } } });
+                }
+                return Promise.resolve({
+                    ...healthResponse,
+                    repository: {
+                        stargazerCount: 3,
+                        defaultBranchRef: { target: { history: { totalCount: 2, nodes: [] } } },
+                    },
+                });
+            });
+        });
+
+        it('should start a new stats file from the first star or commit', async () => {
+            octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            const byDate = Object.fromEntries(entries.map((entry) => [entry.date, entry]));
+
+            expect(entries[0].date).toBe('2024-07-30');
+            expect(entries).toHaveLength(34);
+            expect(byDate['2024-07-30']).toMatchObject({ stargazers: 0, commits: 1, traffic_views: 'unavailable' });
+            expect(byDate['2024-08-10']).toMatchObject({ stargazers: 2, commits: 1, traffic_views: 'unavailable' });
+            expect(byDate['2024-08-25']).toMatchObject({ stargazers: 2, commits: 2, traffic_views: 0 }); // Within the traffic window
+            expect(byDate['2024-09-01']).toMatchObject({ stargazers: 3, commits: 2 });
+        });
+
+        it('should only replace the stargazers and commits of an existing file when asked to', async () => {
+            const stats = [{ date: '2024-08-31', stargazers: 3, commits: 2, contributors: 1, traffic_views: 50 }];
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => path.endsWith('stats.json')
+                ? Promise.resolve({ data: { content: Buffer.from(JSON.stringify(stats)).toString('base64') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+            await run();
+            expect(octokit.graphql).not.toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), expect.anything());
+
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'backfill-stars' ? 'true' : getInput(key));
+            octokit.rest.git.createBlob.mockClear();
+
+            await run();
+
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries[0].date).toBe('2024-07-30');
+            expect(entries.find((entry) => entry.date === '2024-08-31')).toMatchObject({ stargazers: 2, commits: 2, contributors: 1, traffic_views: 50 });
+        });
+
+        it('should keep a checkpoint while the rebuild is paused by the rate limit', async () => {
+            octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+            const graphql = octokit.graphql.getMockImplementation();
+            octokit.graphql.mockImplementation((query, variables) => query.includes('STARRED_AT')
+                ? Promise.reject(Object.assign(new Error('API rate limit exceeded'), { status: 403, response: { headers: { 'x-ratelimit-remaining': '0' } } }))
+                : graphql(query, variables));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+            const checkpoint = JSON.parse(octokit.rest.git.createBlob.mock.calls[paths.indexOf('data/fake-owner/fake-repo/history-checkpoint.json')][0].content);
+            expect(checkpoint.stars).toEqual({ cursor: null, counts: {}, done: false });
+
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries[0].date).toBe('2024-08-19'); // Only the traffic window for now
+            expect(entries[0].stargazers).toBe(3);
+        });
+
+        it('should remove the checkpoint once a resumed rebuild is done', async () => {
+            const checkpoint = {
+                stars: { cursor: 'stars-1', counts: { '2024-08-01': 1 }, done: false },
+                commits: { cursor: null, counts: {}, done: false },
+            };
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => {
+                if (path.endsWith('history-checkpoint.json')) {
+                    return Promise.resolve({ data: { content: Buffer.from(JSON.stringify(checkpoint)).toString('base64') } });
+                } else if (path.endsWith('stats.json')) {
+                    return Promise.resolve({ data: { content: Buffer.from('[]').toString('base64') } });
+                }
+                return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+            });
+            octokit.rest.git.getTree.mockResolvedValue(branchTree('history-checkpoint.json'));
+
+            await run();
+
+            expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('STARRED_AT'), expect.objectContaining({ cursor: 'stars-1' }));
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+            expect(tree).toContainEqual({ path: 'data/fake-owner/fake-repo/history-checkpoint.json', mode: '100644', type: 'blob', sha: null });
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(entries.find((entry) => entry.date === '2024-08-10')).toMatchObject({ stargazers: 3 }); // One star from the checkpoint and two more after it
+        });
+    });
+
+    describe('with a timezone ahead of UTC', () => {
+        beforeEach(() => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'timezone' ? 'Asia/Tokyo' : getInput(key));
+
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [
+                    { timestamp: '2024-08-31T00:00:00Z', count: 30, uniques: 3 },
+                    { timestamp: '2024-09-01T00:00:00Z', count: 12, uniques: 2 },
+                ] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        it('should mark the day that is not over in UTC yet as provisional', async () => {
+            // Already the 2nd in Tokyo, so yesterday is the 1st, which is still going on in UTC
+            jest.setSystemTime(new Date('2024-09-01T20:00:00Z'));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            const byDate = Object.fromEntries(entries.map((entry) => [entry.date, entry]));
+            expect(entries[entries.length - 1].date).toBe('2024-09-01');
+            expect(byDate['2024-09-01']).toMatchObject({ traffic_views: 12, provisional: true });
+            expect(byDate['2024-08-31'].traffic_views).toBe(50); // Recorded before, so kept as it is
+        });
+
+        it('should record a provisional day again once it is over', async () => {
+            jest.setSystemTime(new Date('2024-09-02T20:00:00Z'));
+            const stats = [
+                { date: '2024-08-31', stargazers: 10, traffic_views: 30, provisional: false },
+                { date: '2024-09-01', stargazers: 10, open_issues: 7, issues_opened: 2, traffic_views: 5, provisional: true },
+            ];
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => path.endsWith('stats.json')
+                ? Promise.resolve({ data: { content: Buffer.from(JSON.stringify(stats)).toString('base64') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+            await run();
+
+            const entries = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            const byDate = Object.fromEntries(entries.map((entry) => [entry.date, entry]));
+            // The day counts are searched again, what was open is kept
+            expect(byDate['2024-09-01']).toMatchObject({ stargazers: 10, open_issues: 7, issues_opened: 0, traffic_views: 12, provisional: false });
+            expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('issues_opened'), expect.objectContaining({ issues_opened: 'repo:fake-owner/fake-repo is:issue created:2024-09-01' }));
+            expect(byDate['2024-08-31']).toEqual(stats[0]); // Final days are kept
+            expect(byDate['2024-09-02']).toMatchObject({ provisional: true });
+        });
+
+        it('should fail on an unknown timezone', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'timezone' ? 'Mars/Olympus_Mons' : getInput(key));
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("Invalid timezone 'Mars/Olympus_Mons'"));
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('when run from the command line', () => {
+        let outputDirectory;
+
+        beforeEach(() => {
+            outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'insights-'));
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        afterEach(() => {
+            fs.rmSync(outputDirectory, { recursive: true, force: true });
+        });
+
+        it('should write the files to the output directory instead of the branch', async () => {
+            const statsPath = path.join(outputDirectory, 'data/fake-owner/fake-repo/stats.json');
+            fs.mkdirSync(path.dirname(statsPath), { recursive: true });
+            fs.writeFileSync(statsPath, JSON.stringify([{ date: '2024-08-31', stargazers: 9, traffic_views: 3 }]));
+
+            const results = await run({ outputDirectory });
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(results).toEqual([expect.objectContaining({ repository: 'fake-owner/fake-repo', stargazers: 10, traffic_views: 84 })]);
+            const entries = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+            expect(entries.map((entry) => entry.date)).toEqual(expect.arrayContaining(['2024-08-31', '2024-09-01']));
+            expect(entries.find((entry) => entry.date === '2024-08-31').stargazers).toBe(9);
+            expect(fs.existsSync(path.join(outputDirectory, 'data/fake-owner/fake-repo/contributors-cache.json'))).toBe(true);
+            expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+            expect(octokit.rest.git.getRef).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        });
+
+        it('should print the changes without writing anything on a dry run', async () => {
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            const results = await run({ dryRun: true });
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(results[0]).toMatchObject({ stargazers: 10, traffic_views: 84 });
+            const output = log.mock.calls.map((args) => String(args[0])).join('\n');
+            expect(output).toContain('+++ b/data/fake-owner/fake-repo/stats.json');
+            expect(output).toContain('+    "traffic_views": 84,');
+            expect(octokit.rest.git.getRef).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createBlob).not.toHaveBeenCalled();
+            expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with the ndjson and sqlite formats', () => {
+        const useFormat = (format) => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'format' ? format : getInput(key));
+        };
+
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        it('should add a line for the new day to an ndjson file', async () => {
+            useFormat('ndjson');
+            const recorded = '{"date":"2024-08-31","stargazers":9,"provisional":false}\n';
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => path.endsWith('stats.ndjson')
+                ? Promise.resolve({ data: { content: Buffer.from(recorded).toString('base64') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const content = octokit.rest.git.createBlob.mock.calls[0][0].content;
+            expect(content.split('\n')).toContain(recorded.trim()); // Recorded lines are kept as they are
+            expect(JSON.parse(content.trim().split('\n').pop())).toMatchObject({ date: '2024-09-01', traffic_views: 84 });
+        });
+
+        it('should convert the stats file to an sqlite database', async () => {
+            useFormat('sqlite');
+            const getContent = octokit.rest.repos.getContent.getMockImplementation();
+            octokit.rest.repos.getContent.mockImplementation((params) => params.path.endsWith('.sqlite')
+                ? Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+                : getContent(params));
+            octokit.rest.git.getTree.mockResolvedValue(branchTree('stats.json'));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const [statsBlob] = octokit.rest.git.createBlob.mock.calls[0];
+            expect(statsBlob.encoding).toBe('base64');
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+            expect(tree[0].path).toBe('data/fake-owner/fake-repo/stats.sqlite');
+            expect(tree).toContainEqual({ path: 'data/fake-owner/fake-repo/stats.json', mode: '100644', type: 'blob', sha: null });
+
+            const { loadFormat, parseRows } = require('../storage');
+            await loadFormat('sqlite');
+            const rows = parseRows(statsBlob.content, 'sqlite');
+            expect(rows[0]).toMatchObject({ date: '2024-08-19', stargazers: 5, traffic_views: 50 });
+            expect(rows.find((row) => row.date === '2024-09-01')).toMatchObject({ stargazers: 10, traffic_views: 84, provisional: false });
+        });
+
+        it('should read an sqlite file stored before', async () => {
+            useFormat('sqlite');
+            const { loadFormat, serializeRows } = require('../storage');
+            await loadFormat('sqlite');
+            const stored = serializeRows([{ date: '2024-08-31', stargazers: 9 }], ['date', 'stargazers'], 'sqlite', { repository: ['stargazers'] });
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => path.endsWith('stats.sqlite')
+                ? Promise.resolve({ data: { content: stored.replace(/(.{60})/g, '$1\n') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const { parseRows } = require('../storage');
+            const rows = parseRows(octokit.rest.git.createBlob.mock.calls[0][0].content, 'sqlite');
+            expect(rows.find((row) => row.date === '2024-08-31').stargazers).toBe(9);
+        });
+    });
+
+    describe('with a retention', () => {
+        const json = (value) => ({ data: { content: Buffer.from(JSON.stringify(value, null, 2)).toString('base64') } });
+
+        beforeEach(() => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'retention-days' ? '10' : getInput(key));
+
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        const readBlobs = () => {
+            const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+            return Object.fromEntries(paths.map((path, index) => [path.replace('data/fake-owner/fake-repo/', ''), octokit.rest.git.createBlob.mock.calls[index]
+                ? JSON.parse(octokit.rest.git.createBlob.mock.calls[index][0].content)
+                : null]));
+        };
+
+        it('should move the days older than the retention to the archive of their year', async () => {
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).toHaveBeenCalledTimes(1);
+            const blobs = readBlobs();
+            expect(blobs['stats.json'].map((row) => row.date)).toEqual(listDates('2024-08-23', '2024-09-01'));
+            expect(blobs['archive/2024.json'].map((row) => row.date)).toEqual(listDates('2024-08-19', '2024-08-22'));
+            expect(blobs['schema.json'].archives).toEqual([2024]);
+            expect(blobs['monthly.json'][0]).toMatchObject({ period: '2024-08', days: 13 }); // Computed from the whole history
+        });
+
+        it('should read the archives listed in the schema and leave unchanged ones alone', async () => {
+            const archive2023 = [{ date: '2023-12-30', stargazers: 1 }, { date: '2023-12-31', stargazers: 2 }];
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => {
+                if (path.endsWith('schema.json')) return Promise.resolve(json({ version: 3, format: 'json', archives: [2023] }));
+                if (path.endsWith('archive/2023.json')) return Promise.resolve(json(archive2023));
+                if (path.endsWith('stats.json')) return Promise.resolve(json([{ date: '2024-08-31', stargazers: 9 }]));
+                return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+            });
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const blobs = readBlobs();
+            expect(blobs['archive/2023.json']).toBeUndefined(); // Nothing changed in it
+            expect(blobs['schema.json'].archives).toEqual([2023, 2024]);
+            expect(blobs['yearly.json'].map(({ period, stargazers }) => [period, stargazers])).toEqual([['2023', 2], ['2024', 10]]);
+            expect(blobs['stats.json'][0].date).toBe('2024-08-23');
+        });
+
+        it('should move the archived days back once the retention is removed', async () => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'retention-days' ? '' : getInput(key));
+            octokit.rest.repos.getContent.mockImplementation(({ path }) => {
+                if (path.endsWith('schema.json')) return Promise.resolve(json({ version: 3, format: 'json', archives: [2023] }));
+                if (path.endsWith('archive/2023.json')) return Promise.resolve(json([{ date: '2023-12-31', stargazers: 2 }]));
+                if (path.endsWith('stats.json')) return Promise.resolve(json([{ date: '2024-08-31', stargazers: 9 }]));
+                return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+            });
+            octokit.rest.git.getTree.mockResolvedValue(branchTree('archive/2023.json'));
+
+            await run();
+
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+            expect(tree).toContainEqual({ path: 'data/fake-owner/fake-repo/archive/2023.json', mode: '100644', type: 'blob', sha: null });
+            const blobs = readBlobs();
+            expect(blobs['stats.json'][0]).toEqual({ date: '2023-12-31', stargazers: 2 });
+            expect(blobs['schema.json'].archives).toEqual([]);
+        });
+    });
+
+    describe('with the metrics input', () => {
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+        });
+
+        const setMetrics = (metrics) => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => key === 'metrics' ? metrics : getInput(key));
+        };
+
+        it('should only run the chosen collectors and write their columns', async () => {
+            setMetrics('views');
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getClones).not.toHaveBeenCalled();
+            expect(octokit.graphql).not.toHaveBeenCalled();
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+            expect(tree.map((entry) => entry.path)).not.toContain('data/fake-owner/fake-repo/contributors-cache.json');
+            const stats = JSON.parse(octokit.rest.git.createBlob.mock.calls[0][0].content);
+            expect(stats[stats.length - 1]).toEqual({ date: '2024-09-01', traffic_views: 84, traffic_uniques: 1, provisional: false });
+            expect(core.setOutput).toHaveBeenCalledWith('traffic_views', 84);
+            expect(core.setOutput).not.toHaveBeenCalledWith('clones_count', expect.anything());
+        });
+
+        it('should fail on an unknown collector before collecting anything', async () => {
+            setMetrics('views, downloads');
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("Unknown metrics 'downloads'"));
+            expect(octokit.rest.repos.getViews).not.toHaveBeenCalled();
+        });
+
+        it('should not read the traffic, referrers or releases when they are not chosen', async () => {
+            setMetrics('repository, contributors');
+            octokit.graphql.mockResolvedValue({
+                repository: {
+                    stargazerCount: 3,
+                    stargazers: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [] },
+                    defaultBranchRef: { target: { history: { totalCount: 4, pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] } } },
+                },
+            });
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getViews).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getClones).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getTopReferrers).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getTopPaths).not.toHaveBeenCalled();
+            expect(octokit.paginate).not.toHaveBeenCalled();
+            const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+            expect(paths).not.toContain('data/fake-owner/fake-repo/referrers.json');
+            expect(paths).not.toContain('data/fake-owner/fake-repo/releases.json');
+            expect(core.setOutput).not.toHaveBeenCalledWith('release_downloads', expect.anything());
+        });
+
+        it('should record the referrers and paths of the day when chosen', async () => {
+            setMetrics('popular');
+            octokit.rest.repos.getContent.mockImplementation((params) => params.path.endsWith('referrers.json')
+                ? Promise.resolve({ data: { content: Buffer.from(JSON.stringify([{ date: '2024-08-31', referrer: 'google.com', count: 10, uniques: 5 }])).toString('base64') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+            octokit.rest.repos.getTopReferrers.mockResolvedValue({ data: [{ referrer: 'news.ycombinator.com', count: 120, uniques: 90 }] });
+            octokit.rest.repos.getTopPaths.mockResolvedValue({ data: [{ path: '/fake-owner/fake-repo', title: 'fake-repo', count: 40, uniques: 20 }] });
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.repos.getViews).not.toHaveBeenCalled();
+            const paths = octokit.rest.git.createTree.mock.calls[0][0].tree.map((entry) => entry.path);
+            const readBlob = (name) => JSON.parse(octokit.rest.git.createBlob.mock.calls[paths.indexOf(`data/fake-owner/fake-repo/${name}`)][0].content);
+            expect(readBlob('referrers.json')).toEqual([
+                { date: '2024-08-31', referrer: 'google.com', count: 10, uniques: 5 },
+                { date: '2024-09-01', referrer: 'news.ycombinator.com', count: 120, uniques: 90 },
+            ]);
+            expect(readBlob('paths.json')).toEqual([{ date: '2024-09-01', path: '/fake-owner/fake-repo', title: 'fake-repo', count: 40, uniques: 20 }]);
+            expect(paths).not.toContain('data/fake-owner/fake-repo/releases.json');
+        });
+
+        it('should refuse to overwrite an unreadable referrers file', async () => {
+            setMetrics('popular');
+            octokit.rest.repos.getContent.mockImplementation((params) => params.path.endsWith('referrers.json')
+                ? Promise.resolve({ data: { content: Buffer.from('{ not json').toString('base64') } })
+                : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 })));
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Unable to generate referrers content'));
+            expect(octokit.rest.git.createTree).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('with a storage repository', () => {
+        const forbidden = () => Object.assign(new Error('Resource not accessible by integration'), { status: 403, response: { headers: {} } });
+
+        beforeEach(() => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => ({ 'storage-owner': 'insights-org', 'storage-repository': 'insights' })[key] ?? getInput(key));
+
+            octokit.rest.repos.getViews.mockResolvedValue({ data: { views: [] } });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        it('should read and commit the files in the storage repository', async () => {
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            const storage = { owner: 'insights-org', repo: 'insights' };
+            expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining(storage));
+            expect(octokit.rest.repos.getContent).not.toHaveBeenCalledWith(expect.objectContaining({ repo: 'fake-repo' }));
+            expect(octokit.rest.git.createTree).toHaveBeenCalledWith(expect.objectContaining(storage));
+            expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ...storage, ref: 'heads/main' }));
+            expect(octokit.rest.repos.getViews).toHaveBeenCalledWith(expect.objectContaining({ owner: 'fake-owner', repo: 'fake-repo' }));
+        });
+
+        it('should name the storage repository when the token cannot write to it', async () => {
+            octokit.rest.git.createBlob.mockRejectedValue(forbidden());
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("The token has no access to 'insights-org/insights' (HTTP 403)"));
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("Set 'storage-token'"));
+        });
+
+        it('should name the tracked repository when the token cannot read its traffic', async () => {
+            octokit.rest.repos.getViews.mockRejectedValue(forbidden());
+
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining("fake-owner/fake-repo: The token has no access to 'fake-owner/fake-repo' (HTTP 403)"));
+            expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('takes push access'));
+        });
+    });
+
+    describe('when committing the files', () => {
+        beforeEach(() => {
+            octokit.rest.repos.getViews.mockResolvedValue({
+                data: { views: [{ timestamp: '2024-09-01T00:00:00Z', count: 84, uniques: 1 }] },
+            });
+            octokit.rest.repos.getClones.mockResolvedValue({ data: { clones: [] } });
+            octokit.rest.repos.createOrUpdateFileContents = jest.fn().mockResolvedValue({ data: { commit: { sha: 'contents-commit-sha' } } });
+            octokit.rest.repos.deleteFile = jest.fn();
+            octokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'fake-sha' } } });
+            octokit.rest.git.getCommit.mockResolvedValue({ data: { tree: { sha: 'fake-tree-sha' } } });
+            octokit.rest.git.createBlob.mockResolvedValue({ data: { sha: 'fake-blob-sha' } });
+            octokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'fake-new-tree-sha' } });
+            octokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'fake-new-commit-sha' } });
+            octokit.rest.git.updateRef.mockResolvedValue({});
+            octokit.graphql.mockResolvedValue({
+                ...healthResponse,
+                repository: {
+                    stargazerCount: 10,
+                    defaultBranchRef: { target: { history: { totalCount: 100, nodes: [] } } },
+                },
+            });
+        });
+
+        const setInputs = (values) => {
+            const getInput = core.getInput.getMockImplementation();
+            core.getInput = jest.fn((key) => values[key] ?? getInput(key));
+        };
+
+        it('should set the commit from the message template and author, and output its SHA', async () => {
+            setInputs({
+                'commit-message': 'Insights for {repository} on {date}: {stargazers} stars',
+                'author-name': 'Insights Bot',
+                'author-email': 'insights@example.com',
+            });
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Insights for fake-owner/fake-repo on 2024-09-01: 10 stars',
+                author: { name: 'Insights Bot', email: 'insights@example.com' },
+            }));
+            expect(core.setOutput).toHaveBeenCalledWith('commit_sha', 'fake-new-commit-sha');
+        });
+
+        it('should not commit when the files are the same as on the branch', async () => {
+            await run();
+            const { getBlobSha } = require('../commits');
+            const tree = octokit.rest.git.createTree.mock.calls[0][0].tree.map(({ path }, index) => ({
+                path,
+                type: 'blob',
+                sha: getBlobSha(octokit.rest.git.createBlob.mock.calls[index][0]),
+            }));
+            octokit.rest.git.getTree.mockResolvedValue({ data: { tree, truncated: false } });
+            jest.clearAllMocks();
+
+            await run(); // Again on the same day
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createBlob).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+            expect(core.setOutput).toHaveBeenCalledWith('commit_sha', '');
+        });
+
+        it('should commit every changed file through the contents API', async () => {
+            setInputs({ 'commit-method': 'contents' });
+            octokit.rest.git.getTree.mockResolvedValue(branchTree('stats.json'));
+
+            await run();
+
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+            const [stats] = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0];
+            expect(stats).toMatchObject({ owner: 'fake-owner', repo: 'fake-repo', path: 'data/fake-owner/fake-repo/stats.json', sha: 'stored-sha', branch: 'main' });
+            expect(JSON.parse(Buffer.from(stats.content, 'base64').toString()).pop()).toMatchObject({ date: '2024-09-01', traffic_views: 84 });
+            expect(octokit.rest.repos.createOrUpdateFileContents.mock.calls[1][0]).not.toHaveProperty('sha'); // A new file
+            expect(core.setOutput).toHaveBeenCalledWith('commit_sha', 'contents-commit-sha');
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDirectoryStore, createDryRunStore, formatDiff } = require('../local');
+
+describe('createDirectoryStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'insights-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should return null for files that do not exist', async () => {
+        const store = createDirectoryStore(directory);
+
+        expect(await store.readFile({ filePath: 'a/stats.json' })).toBeNull();
+    });
+
+    it('should write the generated files and remove files without content', async () => {
+        const store = createDirectoryStore(directory);
+        fs.writeFileSync(path.join(directory, 'checkpoint.json'), '{}');
+        const generateChanges = jest.fn().mockResolvedValue({
+            message: 'Update stats file',
+            files: [
+                { path: 'a/b/stats.json', content: '[]' },
+                { path: 'checkpoint.json', content: null },
+            ],
+        });
+
+        await store.commit(generateChanges);
+
+        expect(generateChanges).toHaveBeenCalledWith(null);
+        expect(await store.readFile({ filePath: 'a/b/stats.json' })).toBe('[]');
+        expect(fs.existsSync(path.join(directory, 'checkpoint.json'))).toBe(false);
+    });
+
+    it('should write and read base64 content as bytes', async () => {
+        const store = createDirectoryStore(directory);
+        const content = Buffer.from([0, 255, 1, 254]).toString('base64');
+
+        await store.commit(async () => ({ message: 'Update', files: [{ path: 'stats.sqlite', content, encoding: 'base64' }] }));
+
+        expect([...fs.readFileSync(path.join(directory, 'stats.sqlite'))]).toEqual([0, 255, 1, 254]);
+        expect(await store.readFile({ filePath: 'stats.sqlite', encoding: 'base64' })).toBe(content);
+    });
+});
+
+describe('createDryRunStore', () => {
+    it('should print the changes against the files of the store without committing', async () => {
+        const store = {
+            location: "branch 'main'",
+            prepare: jest.fn(),
+            readFile: jest.fn().mockResolvedValue('date,views\n2024-09-01,3'),
+            commit: jest.fn(),
+        };
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const dryRunStore = createDryRunStore(store);
+        await dryRunStore.prepare();
+        await dryRunStore.commit(async () => ({
+            message: 'Update stats file',
+            files: [{ path: 'stats.csv', content: 'date,views\n2024-09-01,3\n2024-09-02,5' }],
+        }));
+
+        expect(store.prepare).not.toHaveBeenCalled();
+        expect(store.commit).not.toHaveBeenCalled();
+        expect(log).toHaveBeenCalledWith('--- a/stats.csv\n+++ b/stats.csv\n@@ -3,0 +3,1 @@\n+2024-09-02,5');
+        log.mockRestore();
+    });
+});
+
+describe('formatDiff', () => {
+    it('should show only the changed lines', () => {
+        const diff = formatDiff({ filePath: 'stats.csv', previous: 'a\nb\nc\nd', content: 'a\nx\ny\nd' });
+
+        expect(diff).toBe('--- a/stats.csv\n+++ b/stats.csv\n@@ -2,2 +2,2 @@\n-b\n-c\n+x\n+y');
+    });
+
+    it('should diff new and removed files against nothing', () => {
+        expect(formatDiff({ filePath: 'new.json', previous: null, content: '[]' })).toBe('--- /dev/null\n+++ b/new.json\n@@ -1,0 +1,1 @@\n+[]');
+        expect(formatDiff({ filePath: 'old.json', previous: '{}', content: null })).toBe('--- a/old.json\n+++ /dev/null\n@@ -1,1 +1,0 @@\n-{}');
+    });
+
+    it('should report unchanged files', () => {
+        expect(formatDiff({ filePath: 'stats.csv', previous: 'a\nb', content: 'a\nb' })).toBe('stats.csv: unchanged');
+    });
+});
@@ -0,0 +1,24 @@
+const { getPopularContent } = require('../popular');
+
+describe('Referrers and popular paths', () => {
+    it('should fetch the top referrers and paths', async () => {
+        const octokit = {
+            rest: {
+                repos: {
+                    getTopReferrers: jest.fn().mockResolvedValue({
+                        data: [{ referrer: 'news.ycombinator.com', count: 120, uniques: 90 }],
+                    }),
+                    getTopPaths: jest.fn().mockResolvedValue({
+                        data: [{ path: '/fake-owner/fake-repo', title: 'fake-repo: A, B', count: 40, uniques: 20 }],
+                    }),
+                },
+            },
+        };
+
+        const { referrers, paths } = await getPopularContent(octokit, 'fake-owner', 'fake-repo');
+
+        expect(octokit.rest.repos.getTopReferrers).toHaveBeenCalledWith({ owner: 'fake-owner', repo: 'fake-repo' });
+        expect(referrers).toEqual([{ referrer: 'news.ycombinator.com', count: 120, uniques: 90 }]);
+        expect(paths).toEqual([{ path: '/fake-owner/fake-repo', title: 'fake-repo: A, B', count: 40, uniques: 20 }]);
+    });
+});
@@ -0,0 +1,41 @@
+const { computeReleaseDownloads, getReleaseAssets } = require('../releases');
+
+describe('Releases', () => {
+    it('should list the download count of every release asset', async () => {
+        const octokit = {
+            rest: { repos: { listReleases: jest.fn() } },
+            paginate: jest.fn().mockResolvedValue([
+                { tag_name: 'v2.0.0', assets: [{ name: 'app.zip', download_count: 3 }, { name: 'app.tar.gz', download_count: 1 }] },
+                { tag_name: 'v1.0.0', assets: [] },
+            ]),
+        };
+
+        const assets = await getReleaseAssets(octokit, 'fake-owner', 'fake-repo');
+
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listReleases, { owner: 'fake-owner', repo: 'fake-repo', per_page: 100 });
+        expect(assets).toEqual([
+            { release: 'v2.0.0', asset: 'app.zip', download_count: 3 },
+            { release: 'v2.0.0', asset: 'app.tar.gz', download_count: 1 },
+        ]);
+    });
+
+    it('should count the growth since the previous recorded date', () => {
+        const content = [
+            'date,release,asset,download_count',
+            '2024-08-29,v1.0.0,app.zip,50',
+            '2024-08-30,v1.0.0,app.zip,100',
+            '2024-08-30,v0.9.0,app.zip,40',
+            '2024-09-01,v1.0.0,app.zip,130',
+            '2024-09-01,v1.1.0,app.zip,7',
+        ].join('\n');
+
+        // v1.1.0 was published since, and v0.9.0 was deleted
+        expect(computeReleaseDownloads(content, 'csv', '2024-09-01')).toEqual({ daily: 37, total: 137 });
+    });
+
+    it('should not count downloads without an earlier date to compare with', () => {
+        const content = JSON.stringify([{ date: '2024-09-01', release: 'v1.0.0', asset: 'app.zip', download_count: 130 }]);
+
+        expect(computeReleaseDownloads(content, 'json', '2024-09-01')).toEqual({ daily: null, total: 130 });
+    });
+});
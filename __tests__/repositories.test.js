@@ -0,0 +1,135 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { getStorageRepository, resolveRepositories, globToRegExp } = require('../repositories');
+
+describe('Repository resolution', () => {
+    let octokit;
+    let inputs;
+
+    beforeEach(() => {
+        inputs = {};
+        core.getInput = jest.fn((key) => inputs[key] || '');
+
+        octokit = {
+            rest: {
+                repos: {
+                    listForOrg: jest.fn(),
+                    listForUser: jest.fn(),
+                },
+            },
+            paginate: jest.fn(),
+        };
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should fall back to the owner and repository inputs', async () => {
+        inputs = { owner: 'fake-owner', repository: 'fake-repo' };
+
+        await expect(resolveRepositories(octokit)).resolves.toEqual([
+            { owner: 'fake-owner', repo: 'fake-repo' },
+        ]);
+        expect(octokit.paginate).not.toHaveBeenCalled();
+    });
+
+    it('should accept a full name in the repository input', async () => {
+        inputs = { owner: '', repository: 'fake-owner/fake-repo' };
+
+        await expect(resolveRepositories(octokit)).resolves.toEqual([
+            { owner: 'fake-owner', repo: 'fake-repo' },
+        ]);
+    });
+
+    it('should expand globs and skip archived repositories and forks by default', async () => {
+        inputs = { repositories: 'my-org/*\nother-owner/tool, my-org/api' };
+
+        octokit.paginate.mockResolvedValue([
+            { name: 'api', owner: { login: 'my-org' }, archived: false, fork: false },
+            { name: 'web', owner: { login: 'my-org' }, archived: false, fork: false },
+            { name: 'legacy', owner: { login: 'my-org' }, archived: true, fork: false },
+            { name: 'upstream', owner: { login: 'my-org' }, archived: false, fork: true },
+        ]);
+
+        const repositories = await resolveRepositories(octokit);
+
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listForOrg, expect.objectContaining({ org: 'my-org' }));
+        expect(repositories).toEqual([
+            { owner: 'my-org', repo: 'api' },
+            { owner: 'my-org', repo: 'web' },
+            { owner: 'other-owner', repo: 'tool' },
+        ]);
+    });
+
+    it('should include archived repositories and forks when requested', async () => {
+        inputs = { repositories: 'my-org/*', 'include-archived': 'true', 'include-forks': 'true' };
+
+        octokit.paginate.mockResolvedValue([
+            { name: 'legacy', owner: { login: 'my-org' }, archived: true, fork: false },
+            { name: 'upstream', owner: { login: 'my-org' }, archived: false, fork: true },
+        ]);
+
+        await expect(resolveRepositories(octokit)).resolves.toHaveLength(2);
+    });
+
+    it('should fall back to user repositories when the owner is not an organization', async () => {
+        inputs = { repositories: 'some-user/action-*' };
+
+        octokit.paginate
+            .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }))
+            .mockResolvedValueOnce([
+                { name: 'action-one', owner: { login: 'some-user' }, archived: false, fork: false },
+                { name: 'website', owner: { login: 'some-user' }, archived: false, fork: false },
+            ]);
+
+        await expect(resolveRepositories(octokit)).resolves.toEqual([
+            { owner: 'some-user', repo: 'action-one' },
+        ]);
+        expect(octokit.paginate).toHaveBeenLastCalledWith(octokit.rest.repos.listForUser, expect.objectContaining({ username: 'some-user' }));
+    });
+
+    it('should reject wildcards in the owner', async () => {
+        inputs = { repositories: 'my-*/repo' };
+
+        await expect(resolveRepositories(octokit)).rejects.toThrow('Wildcards are only supported in the repository name');
+    });
+
+    it('should match glob patterns case-insensitively', () => {
+        expect(globToRegExp('repo-?.js*').test('Repo-1.JS-extra')).toBe(true);
+        expect(globToRegExp('repo-*').test('other-repo')).toBe(false);
+    });
+});
+
+describe('getStorageRepository', () => {
+    let inputs;
+
+    beforeEach(() => {
+        inputs = {};
+        core.getInput = jest.fn((key) => inputs[key] || '');
+        process.env.GITHUB_REPOSITORY = 'workflow-owner/workflow-repo';
+    });
+
+    it('should store the insights in the repository running the workflow by default', () => {
+        expect(getStorageRepository()).toEqual({ owner: 'workflow-owner', repo: 'workflow-repo' });
+    });
+
+    it('should accept a storage repository of the same owner, another owner or a full name', () => {
+        inputs = { 'storage-repository': 'insights' };
+        expect(getStorageRepository()).toEqual({ owner: 'workflow-owner', repo: 'insights' });
+
+        inputs = { 'storage-owner': 'insights-org', 'storage-repository': 'insights' };
+        expect(getStorageRepository()).toEqual({ owner: 'insights-org', repo: 'insights' });
+
+        inputs = { 'storage-repository': 'insights-org/insights' };
+        expect(getStorageRepository()).toEqual({ owner: 'insights-org', repo: 'insights' });
+    });
+
+    it('should require the storage repository with a storage owner', () => {
+        inputs = { 'storage-owner': 'insights-org' };
+
+        expect(() => getStorageRepository()).toThrow("Input 'storage-repository' is required with 'storage-owner'.");
+    });
+});
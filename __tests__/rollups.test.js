@@ -0,0 +1,74 @@
+const { generateRollupContents } = require('../rollups');
+const { listDates } = require('../dates');
+
+describe('Rollups', () => {
+    const emptyContents = { weekly: null, monthly: null, yearly: null };
+    const rows = listDates('2024-08-29', '2024-09-03').map((date, index) => ({
+        date,
+        stargazers: 10 + index,
+        traffic_views: 5,
+        open_issues: index,
+        issues_opened: 1,
+    }));
+
+    const parse = (content) => JSON.parse(content);
+
+    it('should sum flow metrics and take stock metrics at the end of every period', () => {
+        const { weekly, monthly, yearly } = generateRollupContents({ contents: emptyContents, rows, dates: [], format: 'json' });
+
+        expect(parse(weekly)).toEqual([
+            expect.objectContaining({ date: '2024-08-26', period: '2024-W35', end: '2024-09-01', days: 4, complete: true, stargazers: 13, traffic_views: 20, open_issues: 3, issues_opened: 4 }),
+            expect.objectContaining({ date: '2024-09-02', period: '2024-W36', end: '2024-09-08', days: 2, complete: false, stargazers: 15, traffic_views: 10 }),
+        ]);
+        expect(parse(monthly)).toEqual([
+            expect.objectContaining({ date: '2024-08-01', period: '2024-08', end: '2024-08-31', days: 3, complete: true, stargazers: 12, traffic_views: 15 }),
+            expect.objectContaining({ date: '2024-09-01', period: '2024-09', end: '2024-09-30', days: 3, complete: false, stargazers: 15, traffic_views: 15 }),
+        ]);
+        expect(parse(yearly)).toEqual([
+            expect.objectContaining({ date: '2024-01-01', period: '2024', end: '2024-12-31', days: 6, stargazers: 15, traffic_views: 30 }),
+        ]);
+    });
+
+    it('should leave metrics without any value in the period blank', () => {
+        const { weekly } = generateRollupContents({ contents: emptyContents, rows, dates: [], format: 'json' });
+
+        expect(parse(weekly)[0]).toMatchObject({ commits: null, clones_count: null, median_merge_hours: null });
+    });
+
+    it('should only recompute the periods of the changed dates', () => {
+        const monthly = JSON.stringify([
+            { date: '2024-07-01', period: '2024-07', traffic_views: 999 },
+            { date: '2024-08-01', period: '2024-08', traffic_views: 1 },
+        ]);
+
+        const contents = generateRollupContents({ contents: { ...emptyContents, monthly }, rows, dates: ['2024-09-03'], format: 'json' });
+
+        expect(parse(contents.monthly).map(({ period, traffic_views }) => [period, traffic_views])).toEqual([
+            ['2024-07', 999], // Recorded from rows that are no longer there
+            ['2024-08', 1],
+            ['2024-09', 15],
+        ]);
+    });
+
+    it('should label weeks at the turn of the year by their ISO week', () => {
+        const turnOfYear = listDates('2024-12-28', '2025-01-06').map((date) => ({ date, traffic_views: 1 }));
+
+        const { weekly } = generateRollupContents({ contents: emptyContents, rows: turnOfYear, dates: [], format: 'csv' });
+
+        expect(weekly.split('\n').slice(1).map((line) => line.split(',').slice(0, 2).join(','))).toEqual([
+            '2024-12-23,2024-W52',
+            '2024-12-30,2025-W01',
+            '2025-01-06,2025-W02',
+        ]);
+    });
+
+    it('should rebuild a rollup file that cannot be read', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const { yearly } = generateRollupContents({ contents: { ...emptyContents, yearly: '[{' }, rows, dates: [], format: 'json' });
+
+        expect(parse(yearly)).toHaveLength(1);
+        expect(log).toHaveBeenCalledWith(expect.stringContaining('Rebuilding the yearly rollup'));
+        log.mockRestore();
+    });
+});
@@ -0,0 +1,214 @@
+const { checkRows, getFileEncoding, listColumns, loadFormat, parseRows, parseSchema, replaceRowsForDate, restoreCsvTypes, serializeRows, serializeSchema, splitArchivedRows, upsertRows } = require('../storage');
+
+describe('Row storage', () => {
+    const columns = ['date', 'path', 'title', 'count'];
+
+    it('should quote CSV values and read them back', () => {
+        const rows = [{ date: '2024-09-01', path: '/a', title: 'Hello, "world"', count: 3 }];
+
+        const content = serializeRows(rows, columns, 'csv');
+
+        expect(content).toBe('date,path,title,count\n2024-09-01,/a,"Hello, ""world""",3');
+        expect(parseRows(content, 'csv')).toEqual([
+            { date: '2024-09-01', path: '/a', title: 'Hello, "world"', count: '3' },
+        ]);
+    });
+
+    it('should replace the rows of a date and keep the file sorted', () => {
+        const content = JSON.stringify([
+            { date: '2024-08-30', path: '/old', title: 'Old', count: 1 },
+            { date: '2024-09-01', path: '/stale', title: 'Stale', count: 2 },
+        ]);
+
+        const updated = replaceRowsForDate({
+            content,
+            format: 'json',
+            columns,
+            date: '2024-08-31',
+            rows: [{ path: '/new', title: 'New', count: 5 }],
+        });
+        const replaced = replaceRowsForDate({
+            content: updated,
+            format: 'json',
+            columns,
+            date: '2024-09-01',
+            rows: [],
+        });
+
+        expect(JSON.parse(replaced)).toEqual([
+            { date: '2024-08-30', path: '/old', title: 'Old', count: 1 },
+            { date: '2024-08-31', path: '/new', title: 'New', count: 5 },
+        ]);
+    });
+
+    it('should start from an empty file', () => {
+        expect(parseRows(null, 'csv')).toEqual([]);
+        expect(serializeRows([], columns, 'csv')).toBe('date,path,title,count');
+    });
+
+    it('should reject unsupported formats', () => {
+        expect(() => parseRows('[]', 'xml')).toThrow('Unsupported format');
+    });
+
+    it('should report corrupt CSV lines and keep the valid ones', () => {
+        const content = 'date,path,title,count\n2024-09-01,/a,A,1\n2024-09-02,/b\nnot-a-date,/c,C,3';
+
+        const { rows, problems } = checkRows(content, 'csv', columns);
+
+        expect(rows).toEqual([{ date: '2024-09-01', path: '/a', title: 'A', count: '1' }]);
+        expect(problems).toEqual([
+            'line 3: expected 4 values, found 2',
+            "line 4: invalid date 'not-a-date'",
+        ]);
+    });
+
+    it('should salvage the intact entries of truncated JSON', () => {
+        const content = '[\n  { "date": "2024-09-01", "count": 1 },\n  { "date": "2024-09-02", "count": 2 },\n  { "date": "2024-09';
+
+        const { rows, problems } = checkRows(content, 'json', columns);
+
+        expect(rows).toEqual([
+            { date: '2024-09-01', count: 1 },
+            { date: '2024-09-02', count: 2 },
+        ]);
+        expect(problems[0]).toMatch(/^invalid JSON/);
+    });
+
+    it('should find no problems in a valid file', () => {
+        expect(checkRows('date,path,title,count\n2024-09-01,/a,A,1', 'csv', columns).problems).toEqual([]);
+        expect(checkRows('[{ "date": "2024-09-01", "count": 1 }]', 'json', columns).problems).toEqual([]);
+    });
+
+    it('should read CSV values by the column names of the header', () => {
+        expect(parseRows('count,date\n3,2024-09-01', 'csv')).toEqual([{ count: '3', date: '2024-09-01' }]);
+    });
+
+    it('should list the given columns followed by the other columns of the rows', () => {
+        const rows = [{ date: '2024-09-01', legacy: 1 }, { date: '2024-09-02', path: '/a', other: 2 }];
+
+        expect(listColumns(rows, columns)).toEqual(['date', 'path', 'title', 'count', 'legacy', 'other']);
+    });
+
+    it('should replace rows by date and add new dates in order', () => {
+        const rows = [{ date: '2024-09-01', count: 1 }, { date: '2024-09-03', count: 3 }];
+
+        expect(upsertRows(rows, [{ date: '2024-09-02', count: 2 }, { date: '2024-09-03', count: 4 }])).toEqual([
+            { date: '2024-09-01', count: 1 },
+            { date: '2024-09-02', count: 2 },
+            { date: '2024-09-03', count: 4 },
+        ]);
+    });
+
+    it('should split the rows before the cutoff by year', () => {
+        const rows = [{ date: '2023-12-31' }, { date: '2024-01-01' }, { date: '2024-02-01' }, { date: '2024-03-01' }];
+
+        const { current, archived } = splitArchivedRows(rows, '2024-02-01');
+
+        expect(current).toEqual([{ date: '2024-02-01' }, { date: '2024-03-01' }]);
+        expect([...archived]).toEqual([[2023, [{ date: '2023-12-31' }]], [2024, [{ date: '2024-01-01' }]]]);
+        expect(splitArchivedRows(rows, null).current).toEqual(rows);
+    });
+
+    it('should restore the types of CSV values', () => {
+        const rows = parseRows('date,stargazers,median_merge_hours,provisional,open_issues,commits,release\n2024-08-31,4,2.5,true,unavailable,,1.0\n', 'csv');
+
+        expect(restoreCsvTypes(rows)).toEqual([{ date: '2024-08-31', stargazers: 4, median_merge_hours: 2.5, provisional: true, open_issues: 'unavailable', commits: '', release: '1.0' }]);
+    });
+
+    it('should record the schema version and read it back', () => {
+        const schema = parseSchema(serializeSchema({ format: 'csv', columns }));
+
+        expect(schema).toEqual({ version: 3, format: 'csv', columns, archives: [] });
+        expect(parseSchema(null)).toBeNull();
+        expect(() => parseSchema('[]')).toThrow('Invalid schema');
+        expect(() => parseSchema('{ "version": 4, "format": "csv" }')).toThrow('schema version 4');
+    });
+});
+
+describe('NDJSON storage', () => {
+    it('should write one row per line and read them back', () => {
+        const rows = [{ date: '2024-09-01', count: 1 }, { date: '2024-09-02', count: 2 }];
+
+        const content = serializeRows(rows, ['date', 'count'], 'ndjson');
+
+        expect(content).toBe('{"date":"2024-09-01","count":1}\n{"date":"2024-09-02","count":2}\n');
+        expect(parseRows(content, 'ndjson')).toEqual(rows);
+    });
+
+    it('should report corrupt lines and keep the valid ones', () => {
+        const { rows, problems } = checkRows('{"date":"2024-09-01"}\n{"date":\n{"date":"soon"}\n', 'ndjson', ['date']);
+
+        expect(rows).toEqual([{ date: '2024-09-01' }]);
+        expect(problems).toEqual([expect.stringMatching(/^line 2: invalid JSON/), "line 3: invalid date 'soon'"]);
+    });
+});
+
+describe('SQLite storage', () => {
+    beforeAll(async () => {
+        await loadFormat('sqlite');
+    });
+
+    it('should store the files as base64', () => {
+        expect(getFileEncoding('sqlite')).toBe('base64');
+        expect(getFileEncoding('csv')).toBe('utf-8');
+    });
+
+    it('should keep numbers, booleans, text and blanks apart', () => {
+        const rows = [
+            { date: '2024-09-01', views: 3, status: 'unavailable', provisional: false, note: null },
+            { date: '2024-09-02', views: 'unavailable', status: 'ok', provisional: true, note: 'x' },
+        ];
+
+        const content = serializeRows(rows, ['date', 'views', 'status', 'provisional', 'note'], 'sqlite');
+
+        expect(parseRows(content, 'sqlite')).toEqual(rows);
+    });
+
+    it('should store every family in a table of its own and join them by date', async () => {
+        const rows = [
+            { date: '2024-09-02', stars: 5, views: 7, legacy: 'a' },
+            { date: '2024-09-01', stars: 4, views: 2, legacy: 'b' },
+        ];
+
+        const content = serializeRows(rows, ['date', 'stars', 'views', 'legacy'], 'sqlite', { repository: ['stars'], traffic: ['views'] });
+
+        const initSqlJs = require('sql.js/dist/sql-asm.js');
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(Buffer.from(content, 'base64'));
+        expect(db.exec('SELECT name FROM sqlite_master')[0].values.flat()).toEqual(['repository', 'traffic', 'data']);
+        expect(db.exec('SELECT date, views FROM traffic ORDER BY date')[0].values).toEqual([['2024-09-01', 2], ['2024-09-02', 7]]);
+        db.close();
+        expect(parseRows(content, 'sqlite')).toEqual([rows[1], rows[0]]);
+    });
+
+    it('should write the same rows to the same bytes', () => {
+        const rows = [{ date: '2024-09-01', count: 1 }];
+
+        expect(serializeRows(rows, ['date', 'count'], 'sqlite')).toBe(serializeRows(rows, ['date', 'count'], 'sqlite'));
+    });
+
+    it('should report a file that is not a database', () => {
+        const { rows, problems } = checkRows(Buffer.from('not a database, but long enough to have a header').toString('base64'), 'sqlite', ['date']);
+
+        expect(rows).toEqual([]);
+        expect(problems[0]).toMatch(/^invalid SQLite database/);
+    });
+
+    it('should replace the rows of a date', () => {
+        const content = serializeRows([{ date: '2024-09-01', path: '/a', count: 1 }], ['date', 'path', 'count'], 'sqlite');
+
+        const updated = replaceRowsForDate({
+            content,
+            format: 'sqlite',
+            columns: ['date', 'path', 'count'],
+            date: '2024-09-02',
+            rows: [{ path: '/b', count: 2 }, { path: '/c', count: 3 }],
+        });
+
+        expect(parseRows(updated, 'sqlite')).toEqual([
+            { date: '2024-09-01', path: '/a', count: 1 },
+            { date: '2024-09-02', path: '/b', count: 2 },
+            { date: '2024-09-02', path: '/c', count: 3 },
+        ]);
+    });
+});
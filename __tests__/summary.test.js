@@ -0,0 +1,91 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { computeAggregates, getAggregateOutputs, sparkline, writeSummary } = require('../summary');
+const { day, mockInputs } = require('./helpers/stats');
+
+describe('Job summary', () => {
+    // 2024-08-05 up to 2024-09-01, with two days of unavailable data
+    const rows = Array.from({ length: 28 }, (_, index) => {
+        const date = new Date(Date.UTC(2024, 7, 5 + index)).toISOString().split('T')[0];
+        return day(date, 10 + index, index < 14 ? 10 : 20);
+    });
+    rows[24] = day(rows[24].date, 'unavailable', 'unavailable');
+
+    beforeEach(() => {
+        mockInputs({});
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should total flow metrics and compare them with the previous period', () => {
+        const views = computeAggregates(rows, '2024-09-01').find((aggregate) => aggregate.key === 'views');
+
+        expect(views.yesterday).toBe(20);
+        expect(views.value_7d).toBe(120); // One of the seven days is unavailable
+        expect(views.delta_7d).toBe(120 - 140);
+        expect(views.value_28d).toBe(14 * 10 + 13 * 20);
+        expect(views.delta_28d).toBeNull(); // Nothing recorded before the period
+    });
+
+    it('should take the change of stock metrics over the period', () => {
+        const stars = computeAggregates(rows, '2024-09-01').find((aggregate) => aggregate.key === 'stars');
+
+        expect(stars.value_7d).toBe(37);
+        expect(stars.delta_7d).toBe(37 - 30);
+        expect(stars.history).toHaveLength(28);
+        expect(stars.history[24]).toBe(33); // Unavailable days keep the last known value
+    });
+
+    it('should leave out a provisional last day', () => {
+        const aggregates = computeAggregates([...rows, { ...day('2024-09-02', 38, 3), provisional: true }], '2024-09-02');
+        const views = aggregates.find((aggregate) => aggregate.key === 'views');
+
+        expect(views.yesterday).toBe(20);
+        expect(views.value_7d).toBe(120);
+        expect(aggregates.find((aggregate) => aggregate.key === 'stars').value_7d).toBe(37);
+    });
+
+    it('should expose the aggregates as outputs', () => {
+        const outputs = getAggregateOutputs(computeAggregates(rows, '2024-09-01'));
+
+        expect(outputs).toEqual(expect.objectContaining({
+            views_7d: 120,
+            views_delta_7d: -20,
+            stars_delta_7d: 7,
+            stars_delta_28d: null,
+        }));
+        expect(outputs).not.toHaveProperty('stars_7d');
+    });
+
+    it('should only aggregate the metrics of the chosen collectors', () => {
+        mockInputs({ metrics: 'views, health' });
+
+        const aggregates = computeAggregates(rows, '2024-09-01');
+
+        expect(aggregates.map((aggregate) => aggregate.key)).toEqual(['views', 'visitors', 'open_issues', 'open_pull_requests', 'issues_opened', 'issues_closed', 'pull_requests_opened', 'pull_requests_closed', 'pull_requests_merged', 'median_first_response_hours', 'median_merge_hours']);
+        expect(getAggregateOutputs(aggregates)).not.toHaveProperty('stars_delta_7d');
+        expect(getAggregateOutputs(aggregates)).toHaveProperty('issues_opened_7d', null);
+        expect(getAggregateOutputs(aggregates)).toHaveProperty('open_issues_delta_7d', null);
+    });
+
+    it('should draw sparklines with gaps for missing values', () => {
+        expect(sparkline([0, 7, null, 14])).toBe('▁▅ █');
+        expect(sparkline([3, 3])).toBe('▁▁');
+    });
+
+    it('should write a table for every repository', async () => {
+        await writeSummary([
+            { repository: 'fake-owner/fake-repo', endDate: '2024-09-01', aggregates: computeAggregates(rows, '2024-09-01') },
+        ]);
+
+        expect(core.summary.addHeading).toHaveBeenCalledWith('Insights for fake-owner/fake-repo', 2);
+        const table = core.summary.addTable.mock.calls[0][0];
+        expect(table).toHaveLength(17); // Every metric of every collector, under the header
+        expect(table[4].slice(0, 4)).toEqual(['Views', '20', '120', '-20 (-14%)']);
+        expect(core.summary.write).toHaveBeenCalled();
+    });
+});
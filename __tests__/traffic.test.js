@@ -0,0 +1,40 @@
+const { findMissingDates } = require('../traffic');
+
+describe('Traffic window', () => {
+    it('should backfill the whole window for a new file', () => {
+        const { backfill, unavailable } = findMissingDates({
+            recordedDates: new Set(),
+            yesterdayDateString: '2024-09-01',
+        });
+
+        expect(backfill).toHaveLength(14);
+        expect(backfill[0]).toBe('2024-08-19');
+        expect(backfill[13]).toBe('2024-09-01');
+        expect(unavailable).toEqual([]);
+    });
+
+    it('should split gaps into days still in the window and lost days', () => {
+        const { backfill, unavailable } = findMissingDates({
+            recordedDates: new Set(['2024-08-15', '2024-08-17', '2024-08-20', '2024-08-31']),
+            yesterdayDateString: '2024-09-01',
+        });
+
+        expect(unavailable).toEqual(['2024-08-16', '2024-08-18']);
+        expect(backfill).toEqual([
+            '2024-08-19', '2024-08-21', '2024-08-22', '2024-08-23', '2024-08-24', '2024-08-25',
+            '2024-08-26', '2024-08-27', '2024-08-28', '2024-08-29', '2024-08-30', '2024-09-01',
+        ]);
+    });
+
+    it('should record provisional days again while they are in the window', () => {
+        const { backfill, unavailable } = findMissingDates({
+            recordedDates: new Set(['2024-08-10', '2024-08-11', '2024-08-31']),
+            provisionalDates: new Set(['2024-08-11', '2024-08-31']),
+            yesterdayDateString: '2024-09-01',
+        });
+
+        expect(backfill).toContain('2024-08-31');
+        expect(backfill).not.toContain('2024-08-11'); // Its traffic is gone, so it is kept as it is
+        expect(unavailable).not.toContain('2024-08-11');
+    });
+});
@@ -0,0 +1,232 @@
+const core = require("@actions/core");
+const { addDays, listDates } = require("./dates");
+const { getBooleanInput, getNumberInput } = require("./inputs");
+const { createHistory, getCompleteRows, getMetrics } = require("./metrics");
+const { getStorageRepository } = require("./repositories");
+
+// Fewer days of history than this make for a meaningless baseline
+const MIN_BASELINE_DAYS = 7;
+
+// Parses rules such as "zscore=3" or "change=200%", where a sign limits the
+// rule to spikes (+) or drops (-)
+function parseRule(text, key) {
+  const match = text.match(/^(zscore|change)\s*=\s*([+-]?)(\d+(?:\.\d+)?)%?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid alert threshold '${text}' for '${key}', expected 'zscore=<number>' or 'change=<percentage>%', optionally signed.`
+    );
+  }
+  return {
+    text,
+    type: match[1],
+    direction: match[2] === "+" ? "up" : match[2] === "-" ? "down" : "both",
+    threshold: Number(match[3]),
+  };
+}
+
+// Parses lines such as "views: zscore=3, change=+500%"
+function parseAlertThresholds(text) {
+  const thresholds = new Map();
+  for (const line of (text || "").split("\n")) {
+    if (line.trim() === "") {
+      continue;
+    }
+    const match = line.match(/^\s*([\w-]+)\s*:(.*)$/);
+    if (!match || !getMetrics().some(({ key }) => key === match[1])) {
+      throw new Error(
+        `Invalid alert thresholds '${line.trim()}', expected a metric followed by thresholds such as 'views: zscore=3'.`
+      );
+    }
+    thresholds.set(
+      match[1],
+      match[2].split(",").map((rule) => parseRule(rule.trim(), match[1]))
+    );
+  }
+  return thresholds;
+}
+
+// Reads and validates the alert inputs once, before anything is collected
+function getAlertConfig() {
+  return {
+    thresholds: parseAlertThresholds(core.getInput("alert-thresholds")),
+    window: getNumberInput("alert-window", 28),
+    issue: getBooleanInput("alert-issue"),
+    label: core.getInput("alert-label") || "insights-alert",
+  };
+}
+
+// Flow metrics are compared day by day, stock metrics by their daily change
+function getDailyValue(history, metric, date) {
+  const value = history.dailyValue(metric.column, date);
+  if (metric.kind === "flow" || value === null) {
+    return value;
+  }
+  const previous = history.dailyValue(metric.column, addDays(date, -1));
+  return previous === null ? null : value - previous;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isTripped({ type, direction, threshold }, { zscore, change }) {
+  const measured = type === "zscore" ? zscore : change;
+  if (measured === null) {
+    return false;
+  } else if (direction === "up") {
+    return measured >= threshold;
+  } else if (direction === "down") {
+    return measured <= -threshold;
+  }
+  return Math.abs(measured) >= threshold;
+}
+
+// Compares the day's value of every metric with thresholds against the
+// average of the days before it
+function detectAlerts({ rows: storedRows, endDate: lastDate, config }) {
+  const { rows, endDate } = getCompleteRows(storedRows, lastDate);
+  const history = createHistory(rows);
+  const metrics = getMetrics();
+  const alerts = [];
+
+  for (const [key, rules] of config.thresholds) {
+    const metric = metrics.find((candidate) => candidate.key === key);
+    const value = getDailyValue(history, metric, endDate);
+    const baseline = listDates(
+      addDays(endDate, -config.window),
+      addDays(endDate, -1)
+    )
+      .map((date) => getDailyValue(history, metric, date))
+      .filter((day) => day !== null);
+    if (value === null || baseline.length < MIN_BASELINE_DAYS) {
+      continue;
+    }
+
+    const mean = baseline.reduce((a, b) => a + b, 0) / baseline.length;
+    const deviation = Math.sqrt(
+      baseline.reduce((sum, day) => sum + (day - mean) ** 2, 0) /
+        baseline.length
+    );
+    // Counts are whole numbers, so a perfectly flat baseline still deviates by one
+    const zscore = (value - mean) / Math.max(deviation, 1);
+    const change = mean !== 0 ? ((value - mean) / mean) * 100 : null;
+
+    const rule = rules.find((candidate) =>
+      isTripped(candidate, { zscore, change })
+    );
+    if (rule) {
+      alerts.push({
+        metric: key,
+        label:
+          metric.kind === "stock" ? `${metric.label} gained` : metric.label,
+        date: endDate,
+        value,
+        baseline: round(mean),
+        zscore: round(zscore),
+        change: change === null ? null : round(change),
+        rule: rule.text,
+      });
+    }
+  }
+  return alerts;
+}
+
+// Hidden in the issue and its comments, so an alert is reported only once
+// when a run is repeated for the same day
+const markerPattern = /<!-- insights-alert: \S+ \S+ -->/g;
+
+function formatMarker({ date, metric }) {
+  return `<!-- insights-alert: ${date} ${metric} -->`;
+}
+
+function formatAlerts({ repository, alerts, window }) {
+  return [
+    `Unusual activity was recorded for ${repository}, compared with the average of the ${window} days before:`,
+    "",
+    "| Metric | Date | Value | Average | Z-score | Change | Threshold |",
+    "| ------ | ---- | ----- | ------- | ------- | ------ | --------- |",
+    ...alerts.map(
+      (alert) =>
+        `| ${alert.label} | ${alert.date} | ${alert.value} | ${
+          alert.baseline
+        } | ${alert.zscore} | ${
+          alert.change === null ? "–" : `${Math.round(alert.change)}%`
+        } | \`${alert.rule}\` |`
+    ),
+    "",
+    ...alerts.map(formatMarker),
+  ].join("\n");
+}
+
+// Opens an issue for the repository's alerts in the repository storing the
+// insights, or comments on the one still open from an earlier run with the
+// alerts it doesn't have yet
+async function reportAlerts({ octokit, repository, alerts, config }) {
+  if (!config.issue || alerts.length === 0) {
+    return;
+  }
+
+  const { owner, repo } = getStorageRepository();
+  const title = `Insights alerts for ${repository}`;
+
+  try {
+    const { data: issues } = await octokit.rest.issues.listForRepo({
+      owner,
+      repo,
+      state: "open",
+      labels: config.label,
+      per_page: 100,
+    });
+    const existing = issues.find((issue) => issue.title === title);
+    if (existing) {
+      const comments = await octokit.paginate(
+        octokit.rest.issues.listComments,
+        { owner, repo, issue_number: existing.number, per_page: 100 }
+      );
+      const reported = new Set(
+        [existing, ...comments].flatMap(({ body }) =>
+          [...(body || "").matchAll(markerPattern)].map((match) => match[0])
+        )
+      );
+      const newAlerts = alerts.filter(
+        (alert) => !reported.has(formatMarker(alert))
+      );
+      if (newAlerts.length === 0) {
+        console.log(
+          `The alerts were already added to issue #${existing.number}.`
+        );
+        return;
+      }
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: existing.number,
+        body: formatAlerts({
+          repository,
+          alerts: newAlerts,
+          window: config.window,
+        }),
+      });
+      console.log(`Added the alerts to issue #${existing.number}.`);
+    } else {
+      const { data: issue } = await octokit.rest.issues.create({
+        owner,
+        repo,
+        title,
+        body: formatAlerts({ repository, alerts, window: config.window }),
+        labels: [config.label],
+      });
+      console.log(`Opened issue #${issue.number} for the alerts.`);
+    }
+  } catch (error) {
+    throw new Error(
+      `Unable to report alerts for ${repository} in an issue: ${error.message}`
+    );
+  }
+}
+
+module.exports = {
+  detectAlerts,
+  getAlertConfig,
+  reportAlerts,
+};
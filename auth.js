@@ -0,0 +1,188 @@
+const core = require("@actions/core");
+const github = require("@actions/github");
+const crypto = require("crypto");
+const { withRetries } = require("./client");
+const {
+  getRepositoryPatterns,
+  getStorageRepository,
+  parseRepositoryPattern,
+} = require("./repositories");
+
+// GitHub accepts app tokens that were issued up to 10 minutes ago, and the
+// issue time is set a minute back to allow for a clock that runs ahead
+const APP_TOKEN_SECONDS = 9 * 60;
+
+// Creates the clients for the tracked repositories and for the repository
+// storing the insights, either with the tokens or as a GitHub App. An app
+// gets an installation token for each of them, unless the storage token is set.
+async function createClients() {
+  const options = getApiOptions();
+  const appId = core.getInput("app-id");
+  const storageToken = core.getInput("storage-token");
+  if (!appId) {
+    const octokit = createClient(core.getInput("github-token"), options);
+    return {
+      octokit,
+      storageOctokit: storageToken
+        ? createClient(storageToken, options)
+        : octokit,
+    };
+  }
+
+  const appOctokit = createClient(
+    createAppToken(appId, core.getInput("private-key")),
+    options
+  );
+  const trackedToken = await getInstallationToken(
+    appOctokit,
+    getTrackedInstallationTarget()
+  );
+  return {
+    octokit: createClient(trackedToken, options),
+    storageOctokit: createClient(
+      storageToken ||
+        (await getInstallationToken(appOctokit, {
+          ...getStorageRepository(),
+          scoped: true,
+        })),
+      options
+    ),
+  };
+}
+
+function createClient(token, { baseUrl, graphqlUrl }) {
+  const octokit = github.getOctokit(
+    token,
+    baseUrl ? { baseUrl } : {},
+    withRetries
+  );
+  if (graphqlUrl) {
+    // The GraphQL API is derived from a base URL ending in /api/v3 unless
+    // the base URL is replaced as well
+    octokit.graphql = octokit.graphql.defaults({
+      baseUrl: graphqlUrl,
+      url: graphqlUrl,
+    });
+  }
+  return octokit;
+}
+
+// A GitHub Enterprise Server instance, e.g. https://github.example.com/api/v3,
+// with the GraphQL API at https://github.example.com/api/graphql
+function getApiOptions() {
+  const trimSlash = (url) => url.trim().replace(/\/+$/, "");
+  return {
+    baseUrl: trimSlash(core.getInput("api-url") || ""),
+    graphqlUrl: trimSlash(core.getInput("graphql-url") || ""),
+  };
+}
+
+// The JSON web token a GitHub App authenticates with, signed with its private
+// key. Keys stored with escaped newlines are accepted as well.
+function createAppToken(appId, privateKey, now = Date.now()) {
+  if (!privateKey) {
+    throw new Error(
+      "Input 'private-key' is required with 'app-id', set it to the private key of the GitHub App."
+    );
+  }
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const issuedAt = Math.floor(now / 1000) - 60;
+  const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+    iat: issuedAt,
+    exp: issuedAt + APP_TOKEN_SECONDS,
+    iss: appId,
+  })}`;
+  let signature;
+  try {
+    signature = crypto.sign(
+      "RSA-SHA256",
+      Buffer.from(unsigned),
+      privateKey.replace(/\\n/g, "\n")
+    );
+  } catch (error) {
+    throw new Error(
+      `Unable to sign with the private key of GitHub App ${appId}: ${error.message}`
+    );
+  }
+  return `${unsigned}.${signature.toString("base64url")}`;
+}
+
+// The installation covering the tracked repositories, found through a
+// repository when one is named, or through their owner for patterns only
+function getTrackedInstallationTarget() {
+  const patterns = getRepositoryPatterns().map(parseRepositoryPattern);
+  const owners = [...new Set(patterns.map(({ owner }) => owner.toLowerCase()))];
+  if (owners.length > 1) {
+    throw new Error(
+      `A GitHub App installation covers a single owner, but the repositories belong to ${owners.join(
+        ", "
+      )}. Run the action once per owner.`
+    );
+  }
+  const named = patterns.find(({ isGlob }) => !isGlob);
+  return named
+    ? { owner: named.owner, repo: named.name }
+    : { owner: patterns[0].owner };
+}
+
+// Mints an installation token, only for the repository itself when scoped
+async function getInstallationToken(appOctokit, { owner, repo, scoped }) {
+  const target = repo ? `${owner}/${repo}` : owner;
+  let installation;
+  try {
+    installation = repo
+      ? await appOctokit.request("GET /repos/{owner}/{repo}/installation", {
+          owner,
+          repo,
+        })
+      : await getOwnerInstallation(appOctokit, owner);
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(
+        `The GitHub App is not installed on '${target}'. Install it there, with access to the repository.`
+      );
+    }
+    throw new Error(
+      `Unable to find the GitHub App installation for '${target}'` +
+        (error.status ? ` (HTTP ${error.status})` : "") +
+        `: ${error.message}`
+    );
+  }
+
+  try {
+    const { data } = await appOctokit.request(
+      "POST /app/installations/{installation_id}/access_tokens",
+      {
+        installation_id: installation.data.id,
+        ...(scoped && { repositories: [repo] }),
+      }
+    );
+    return data.token;
+  } catch (error) {
+    throw new Error(
+      `Unable to create an installation token for '${target}': ${error.message}`
+    );
+  }
+}
+
+async function getOwnerInstallation(appOctokit, owner) {
+  try {
+    return await appOctokit.request("GET /orgs/{org}/installation", {
+      org: owner,
+    });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    // Not an organization, look for the user's installation instead
+    return await appOctokit.request("GET /users/{username}/installation", {
+      username: owner,
+    });
+  }
+}
+
+module.exports = {
+  createAppToken,
+  createClients,
+};
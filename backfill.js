@@ -0,0 +1,189 @@
+const { isRateLimitError } = require("./client");
+const { toDateString } = require("./dates");
+
+const starsQuery = `
+  query ($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      stargazers(first: 100, after: $cursor, orderBy: { field: STARRED_AT, direction: ASC }) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          starredAt
+        }
+      }
+    }
+  }`;
+
+const commitsQuery = `
+  query ($owner: String!, $repo: String!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                committedDate
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// Pages through the stargazers or the commits, counting them by date. When
+// the rate limit runs out, the progress so far is returned to resume from.
+async function countByDate({ octokit, owner, repo, query, getPage, progress }) {
+  let { cursor, counts, done } = progress;
+  while (!done) {
+    let response;
+    try {
+      response = await octokit.graphql(query, { owner, repo, cursor });
+    } catch (error) {
+      if (!isRateLimitError(error)) {
+        throw error;
+      }
+      console.log(`Pausing the history rebuild: ${error.message}`);
+      break;
+    }
+
+    const page = getPage(response.repository);
+    if (!page) {
+      done = true;
+      break;
+    }
+    for (const date of page.dates) {
+      counts[date] = (counts[date] || 0) + 1;
+    }
+    cursor = page.pageInfo.endCursor;
+    done = !page.pageInfo.hasNextPage;
+  }
+  return { cursor, counts, done };
+}
+
+function getStarsPage(repository) {
+  const { pageInfo, edges } = repository.stargazers;
+  return {
+    pageInfo,
+    dates: edges.map(({ starredAt }) => toDateString(new Date(starredAt))),
+  };
+}
+
+function getCommitsPage(repository) {
+  if (!repository.defaultBranchRef) {
+    return null;
+  }
+  const { pageInfo, nodes } = repository.defaultBranchRef.target.history;
+  return {
+    pageInfo,
+    dates: nodes.map(({ committedDate }) =>
+      toDateString(new Date(committedDate))
+    ),
+  };
+}
+
+// Returns a function counting everything up to and including a date
+function accumulate(counts) {
+  const dates = Object.keys(counts).sort();
+  const totals = [];
+  dates.reduce((total, date) => {
+    totals.push(total + counts[date]);
+    return total + counts[date];
+  }, 0);
+
+  return (date) => {
+    let low = 0;
+    let high = dates.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (dates[middle] <= date) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low === 0 ? 0 : totals[low - 1];
+  };
+}
+
+function parseCheckpoint(checkpointContent) {
+  const start = () => ({ cursor: null, counts: {}, done: false });
+  if (!checkpointContent) {
+    return { stars: start(), commits: start() };
+  }
+  try {
+    const { stars, commits } = JSON.parse(checkpointContent);
+    if (!stars || !commits) {
+      throw new Error("missing progress");
+    }
+    console.log("Resuming the history rebuild of an earlier run.");
+    return { stars, commits };
+  } catch (error) {
+    console.log(
+      `Ignoring invalid history checkpoint (${error.message}), starting over.`
+    );
+    return { stars: start(), commits: start() };
+  }
+}
+
+// Rebuilds the stargazers and commits of every past date from when each star
+// was given and each commit was made. Stars that were taken back are lost,
+// so the curve only follows the current stargazers. An incomplete rebuild
+// comes with a checkpoint to continue from on the next run.
+async function getCumulativeHistory(octokit, owner, repo, checkpointContent) {
+  const progress = parseCheckpoint(checkpointContent);
+
+  const stars = await countByDate({
+    octokit,
+    owner,
+    repo,
+    query: starsQuery,
+    getPage: getStarsPage,
+    progress: progress.stars,
+  });
+  // No point in going on when the rate limit already ran out
+  const commits = stars.done
+    ? await countByDate({
+        octokit,
+        owner,
+        repo,
+        query: commitsQuery,
+        getPage: getCommitsPage,
+        progress: progress.commits,
+      })
+    : progress.commits;
+
+  const complete = stars.done && commits.done;
+  const firstDates = [
+    ...Object.keys(stars.counts),
+    ...Object.keys(commits.counts),
+  ].sort();
+  const stargazersOn = accumulate(stars.counts);
+  const commitsOn = accumulate(commits.counts);
+  const lastDate = firstDates[firstDates.length - 1];
+  console.log(
+    complete
+      ? `Rebuilding history from ${stargazersOn(
+          lastDate
+        )} stargazers and ${commitsOn(lastDate)} commits.`
+      : "The history rebuild is incomplete and will resume on the next run."
+  );
+
+  return {
+    complete,
+    checkpoint: JSON.stringify({ stars, commits }),
+    firstDate: firstDates[0] || null,
+    stargazersOn,
+    commitsOn,
+  };
+}
+
+module.exports = {
+  getCumulativeHistory,
+};
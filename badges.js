@@ -0,0 +1,144 @@
+const core = require("@actions/core");
+const { addDays } = require("./dates");
+const { getListInput } = require("./inputs");
+const { createHistory, getCompleteRows, getMetrics } = require("./metrics");
+
+const DEFAULT_COLOR = "blue";
+const MISSING_COLOR = "lightgrey";
+
+// Parses entries such as "stars:total", "views:14d" or "clones:month"
+function parseBadge(entry) {
+  const [key, window = "total"] = entry.split(":").map((part) => part.trim());
+  const metrics = getMetrics();
+  const metric = metrics.find((candidate) => candidate.key === key);
+  if (!metric) {
+    throw new Error(
+      `Invalid badge '${entry}': unknown metric '${key}', expected one of ${metrics
+        .map(({ key }) => key)
+        .join(", ")}.`
+    );
+  }
+  const days = window.match(/^(\d+)d$/);
+  if (window !== "total" && window !== "month" && !(days && days[1] > 0)) {
+    throw new Error(
+      `Invalid badge '${entry}': unknown window '${window}', expected 'total', 'month' or a number of days such as '14d'.`
+    );
+  }
+  return { metric, window, days: days ? Number(days[1]) : null };
+}
+
+// Parses lines such as "views: 0=red, 100=yellow, 1000=brightgreen", where a
+// badge gets the color of the highest threshold its value reaches
+function parseBadgeColors(text) {
+  const colors = new Map();
+  for (const line of (text || "").split("\n")) {
+    if (line.trim() === "") {
+      continue;
+    }
+    const match = line.match(/^\s*([\w-]+)\s*:(.*)$/);
+    if (!match || !getMetrics().some(({ key }) => key === match[1])) {
+      throw new Error(
+        `Invalid badge colors '${line.trim()}', expected a metric followed by thresholds such as 'views: 0=red, 100=green'.`
+      );
+    }
+    const thresholds = match[2].split(",").map((part) => {
+      const threshold = part.trim().match(/^(-?\d+(?:\.\d+)?)\s*=\s*(\S+)$/);
+      if (!threshold) {
+        throw new Error(
+          `Invalid badge color threshold '${part.trim()}' for '${
+            match[1]
+          }', expected '<number>=<color>'.`
+        );
+      }
+      return { threshold: Number(threshold[1]), color: threshold[2] };
+    });
+    colors.set(
+      match[1],
+      thresholds.sort((a, b) => a.threshold - b.threshold)
+    );
+  }
+  return colors;
+}
+
+// Reads and validates the badge inputs once, before anything is collected
+function getBadgeConfig() {
+  return {
+    badges: getListInput("badges").map(parseBadge),
+    colors: parseBadgeColors(core.getInput("badge-colors")),
+  };
+}
+
+function formatCount(value) {
+  const magnitude = Math.abs(value);
+  const [divisor, suffix] =
+    magnitude >= 1e6 ? [1e6, "M"] : magnitude >= 1e3 ? [1e3, "k"] : [1, ""];
+  const scaled = value / divisor;
+  const digits = suffix && Math.abs(scaled) < 10 ? 1 : 0;
+  return `${+scaled.toFixed(digits)}${suffix}`;
+}
+
+function pickColor(value, thresholds) {
+  if (value === null) {
+    return MISSING_COLOR;
+  }
+  if (!thresholds) {
+    return DEFAULT_COLOR;
+  }
+  const reached = thresholds.filter(({ threshold }) => value >= threshold);
+  return (reached.length ? reached[reached.length - 1] : thresholds[0]).color;
+}
+
+// A stock metric shows its current value over the whole history and its
+// change over shorter windows, a flow metric its total over the window
+function computeBadge({ history, endDate, badge, colors }) {
+  const { metric, window, days } = badge;
+  const label = metric.label.toLowerCase();
+  let value;
+  let text;
+
+  if (window === "total") {
+    value = history.firstDate
+      ? history.valueOver(metric, history.firstDate, endDate)
+      : null;
+    text = label;
+  } else {
+    const start =
+      window === "month"
+        ? `${endDate.slice(0, 7)}-01`
+        : addDays(endDate, 1 - days);
+    value =
+      metric.kind === "stock"
+        ? history.changeOver(metric, start, endDate)
+        : history.valueOver(metric, start, endDate);
+    text = window === "month" ? `${label} this month` : `${label} (${window})`;
+  }
+
+  const sign = metric.kind === "stock" && window !== "total" && value > 0;
+  return {
+    schemaVersion: 1,
+    label: text,
+    message: value === null ? "n/a" : `${sign ? "+" : ""}${formatCount(value)}`,
+    color: pickColor(value, colors.get(metric.key)),
+  };
+}
+
+// Renders one shields.io endpoint file per configured badge, see
+// https://shields.io/badges/endpoint-badge
+function renderBadges({ rows: storedRows, endDate: lastDate, config }) {
+  const { rows, endDate } = getCompleteRows(storedRows, lastDate);
+  const history = createHistory(rows);
+  return config.badges.map((badge) => ({
+    name: `${badge.metric.key}-${badge.window}.json`,
+    content: JSON.stringify(
+      computeBadge({ history, endDate, badge, colors: config.colors }),
+      null,
+      2
+    ),
+  }));
+}
+
+module.exports = {
+  formatCount,
+  getBadgeConfig,
+  renderBadges,
+};
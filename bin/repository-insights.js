@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { main } = require("../cli");
+
+main(process.argv.slice(2));
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const usage = "Usage: repository-insights [options]";
+
+const cliOptions = {
+  "output-dir": {
+    type: "string",
+    description:
+      "Write the files to this local directory instead of committing them to the insights branch.",
+  },
+  "dry-run": {
+    type: "boolean",
+    description:
+      "Print the collected stats and the changes to the files without writing anything.",
+  },
+  help: { type: "boolean", description: "Show this help." },
+};
+
+// The action's inputs with their descriptions and defaults, read from
+// action.yml so the CLI accepts the same options as the action
+function readActionInputs(actionFile = path.join(__dirname, "action.yml")) {
+  const inputs = [];
+  let inInputs = false;
+  for (const line of fs.readFileSync(actionFile, "utf8").split("\n")) {
+    if (/^\S/.test(line)) {
+      inInputs = line.startsWith("inputs:");
+      continue;
+    }
+    if (!inInputs) {
+      continue;
+    }
+    const name = line.match(/^ {2}([\w-]+):\s*$/);
+    if (name) {
+      inputs.push({ name: name[1], description: "", default: "" });
+      continue;
+    }
+    const property = line.match(/^ {4}(description|default):\s*(.*)$/);
+    if (property && inputs.length > 0) {
+      inputs[inputs.length - 1][property[1]] = unquote(property[2].trim());
+    }
+  }
+  return inputs;
+}
+
+function unquote(value) {
+  const quoted = value.match(/^"(.*)"$/);
+  return quoted ? quoted[1].replace(/\\"/g, '"') : value;
+}
+
+// Sets the inputs the way the Actions runtime does, as INPUT_<NAME>
+// environment variables. Flags take precedence over variables that are
+// already set, which take precedence over the defaults in action.yml.
+function configureInputs(args, env = process.env, inputs = readActionInputs()) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...Object.fromEntries(
+        Object.entries(cliOptions).map(([name, { type }]) => [name, { type }])
+      ),
+      ...Object.fromEntries(
+        inputs.map(({ name }) => [name, { type: "string" }])
+      ),
+    },
+  });
+
+  for (const input of inputs) {
+    const variable = `INPUT_${input.name.toUpperCase()}`;
+    if (values[input.name] !== undefined) {
+      env[variable] = values[input.name];
+    } else if (env[variable] === undefined && !input.default.includes("${{")) {
+      // Defaults taken from the workflow context don't apply outside of it
+      env[variable] = input.default;
+    }
+  }
+  if (!env["INPUT_GITHUB-TOKEN"] && env.GITHUB_TOKEN) {
+    env["INPUT_GITHUB-TOKEN"] = env.GITHUB_TOKEN;
+  }
+  if (!env.GITHUB_REPOSITORY) {
+    const repository = getTrackedRepository(env);
+    if (repository) {
+      env.GITHUB_REPOSITORY = repository;
+    }
+  }
+  // Outputs are returned as JSON instead of being set for a workflow step
+  env.GITHUB_OUTPUT = env.GITHUB_OUTPUT || os.devNull;
+  env.GITHUB_STEP_SUMMARY = env.GITHUB_STEP_SUMMARY || os.devNull;
+
+  return {
+    outputDirectory: values["output-dir"],
+    dryRun: Boolean(values["dry-run"]),
+    help: Boolean(values.help),
+  };
+}
+
+// Outside of a workflow, the insights branch is on the tracked repository
+function getTrackedRepository(env) {
+  const [first] = (env.INPUT_REPOSITORIES || "")
+    .split(/[\n,]/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "");
+  if (first) {
+    return /[*?]/.test(first) ? null : first;
+  }
+  const repository = env.INPUT_REPOSITORY || "";
+  if (repository.includes("/")) {
+    return repository;
+  }
+  return env.INPUT_OWNER && repository
+    ? `${env.INPUT_OWNER}/${repository}`
+    : null;
+}
+
+function formatHelp(inputs = readActionInputs()) {
+  const option = (name, description, defaultValue) =>
+    `  --${name}\n      ${description}` +
+    (defaultValue && !defaultValue.includes("${{")
+      ? ` (default: ${defaultValue})`
+      : "");
+  return [
+    usage,
+    "",
+    "Options:",
+    ...Object.entries(cliOptions).map(([name, { description }]) =>
+      option(name, description)
+    ),
+    "",
+    "Inputs, also read from INPUT_<NAME> environment variables, e.g. INPUT_FORMAT:",
+    ...inputs.map(({ name, description, default: defaultValue }) =>
+      option(name, description, defaultValue)
+    ),
+    "",
+    "The token falls back to GITHUB_TOKEN, and the API to GITHUB_API_URL.",
+  ].join("\n");
+}
+
+async function main(args) {
+  let options;
+  try {
+    options = configureInputs(args);
+  } catch (error) {
+    console.error(`${error.message}\n${usage}, see --help.`);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.help) {
+    console.log(formatHelp());
+    return;
+  }
+
+  // Loaded after the environment is set, as the client reads it on load
+  const { run } = require("./load");
+  const results = await run(options);
+  if (results) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+}
+
+module.exports = {
+  configureInputs,
+  formatHelp,
+  main,
+  readActionInputs,
+};
@@ -0,0 +1,185 @@
+const { getNumberInput } = require("./inputs");
+
+// Latest quota seen for each rate limit resource, such as core, graphql or search
+const quotas = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function recordQuota(headers) {
+  if (!headers || headers["x-ratelimit-remaining"] === undefined) {
+    return;
+  }
+  const resource = headers["x-ratelimit-resource"] || "core";
+  const quota = {
+    remaining: Number(headers["x-ratelimit-remaining"]),
+    limit: Number(headers["x-ratelimit-limit"]),
+    reset: Number(headers["x-ratelimit-reset"]),
+  };
+  const previous = quotas.get(resource);
+  quotas.set(resource, quota);
+
+  // Only mention it once when the quota runs low
+  const isLow = ({ remaining, limit }) => remaining < limit / 10;
+  if (isLow(quota) && !(previous && isLow(previous))) {
+    console.log(
+      `Only ${quota.remaining} of ${
+        quota.limit
+      } API requests are left for '${resource}' until ${new Date(
+        quota.reset * 1000
+      ).toISOString()}.`
+    );
+  }
+}
+
+function logRateLimits() {
+  for (const [resource, { remaining, limit, reset }] of quotas) {
+    console.log(
+      `API quota for '${resource}': ${remaining} of ${limit} requests left, resetting at ${new Date(
+        reset * 1000
+      ).toISOString()}.`
+    );
+  }
+}
+
+function hasRateLimitedErrors(errors) {
+  return (
+    Array.isArray(errors) && errors.some(({ type }) => type === "RATE_LIMITED")
+  );
+}
+
+// Primary and secondary rate limits are reported as 403 or 429, and GraphQL
+// reports running out of points as an error in a successful response
+function isRateLimitError(error) {
+  if (hasRateLimitedErrors(error.errors)) {
+    return true;
+  }
+  const headers = (error.response && error.response.headers) || {};
+  return (
+    (error.status === 403 || error.status === 429) &&
+    (headers["x-ratelimit-remaining"] === "0" ||
+      headers["retry-after"] !== undefined ||
+      /rate limit/i.test(error.message))
+  );
+}
+
+// The API only says that a resource isn't accessible, or that it isn't there
+// for private repositories. Returns a message naming the repository for such
+// errors, and null for any other error.
+function describeAccessError(error, repository) {
+  if (error.status === 401) {
+    return `The token was rejected for '${repository}' (HTTP 401): ${error.message}.`;
+  }
+  if (error.status === 403 && !isRateLimitError(error)) {
+    return `The token has no access to '${repository}' (HTTP 403): ${error.message}.`;
+  }
+  if (error.status === 404) {
+    return `The repository '${repository}' doesn't exist, or the token has no access to it (HTTP 404).`;
+  }
+  return null;
+}
+
+// Requests that can be sent again without changing anything twice. GraphQL
+// queries are sent with POST, but only mutations change anything.
+function isIdempotent({ method, query }) {
+  return typeof query === "string"
+    ? !/^\s*mutation\b/.test(query)
+    : ["GET", "HEAD", "PUT"].includes(method);
+}
+
+// Returns how long to wait before retrying, or null when retrying won't help
+function getRetryDelay({ status, headers, rateLimited, idempotent, attempt }) {
+  // A request rejected by a rate limit was never carried out, but one that
+  // failed otherwise may have been, so it is only retried when that's harmless
+  if (!rateLimited && !idempotent) {
+    return null;
+  }
+  if (headers["retry-after"] !== undefined) {
+    return Number(headers["retry-after"]) * 1000;
+  }
+  if (rateLimited && headers["x-ratelimit-remaining"] === "0") {
+    return Math.max(
+      Number(headers["x-ratelimit-reset"]) * 1000 - Date.now(),
+      0
+    );
+  }
+  if (rateLimited) {
+    // Secondary rate limits ask to wait at least a minute
+    return 60 * 1000;
+  }
+  if (status === undefined || status >= 500) {
+    // Exponential backoff with full jitter for network and server errors
+    return Math.round(Math.random() * 1000 * 2 ** attempt);
+  }
+  return null;
+}
+
+async function requestWithRetries(request, options, { retries, maxWait }) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let error;
+    try {
+      response = await request(options);
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    const headers = (response || (error && error.response) || {}).headers || {};
+    recordQuota(headers);
+
+    const rateLimited = response
+      ? hasRateLimitedErrors(response.data && response.data.errors)
+      : isRateLimitError(error);
+    if (response && !rateLimited) {
+      return response;
+    }
+
+    const delay = getRetryDelay({
+      status: error ? error.status : response.status,
+      headers,
+      rateLimited,
+      idempotent: isIdempotent(options),
+      attempt,
+    });
+    if (delay === null || attempt >= retries || delay > maxWait * 1000) {
+      // GraphQL errors are raised by the client from the response
+      if (error) {
+        throw error;
+      }
+      return response;
+    }
+
+    const reason = rateLimited
+      ? "hitting the rate limit"
+      : error.status
+      ? `HTTP ${error.status}`
+      : error.message;
+    console.log(
+      `Retrying ${options.method} ${options.url} in ${Math.ceil(
+        delay / 1000
+      )} s after ${reason} (retry ${attempt + 1} of ${retries}).`
+    );
+    await sleep(delay);
+  }
+}
+
+// Octokit plugin sending every REST and GraphQL request through the retries
+function withRetries(octokit) {
+  const settings = {
+    retries: getNumberInput("api-retries", 4),
+    maxWait: getNumberInput("api-max-wait", 300),
+  };
+  octokit.hook.wrap("request", (request, options) =>
+    requestWithRetries(request, options, settings)
+  );
+}
+
+module.exports = {
+  describeAccessError,
+  isRateLimitError,
+  logRateLimits,
+  requestWithRetries,
+  sleep,
+  withRetries,
+};
@@ -0,0 +1,313 @@
+const { getContributors } = require("./contributors");
+const { getDayCounts, getHealthMetrics, healthColumns } = require("./health");
+const { getListInput } = require("./inputs");
+const {
+  getPopularContent,
+  pathColumns,
+  referrerColumns,
+} = require("./popular");
+const { getReleaseAssets, releaseColumns } = require("./releases");
+const { getClones, getDailyCount, getViews } = require("./traffic");
+
+// Value of every metric on days that could not be collected
+const UNAVAILABLE = "unavailable";
+
+const CONTRIBUTORS_CACHE_FILE = "contributors-cache.json";
+
+// Health columns that are a state rather than a count of events. The median
+// times are taken over a trailing window already, so they are kept as well.
+const healthStocks = [
+  "open_issues",
+  "open_pull_requests",
+  "median_first_response_hours",
+  "median_merge_hours",
+];
+
+const healthLabels = {
+  open_issues: "Open issues",
+  open_pull_requests: "Open pull requests",
+  issues_opened: "Issues opened",
+  issues_closed: "Issues closed",
+  pull_requests_opened: "Pull requests opened",
+  pull_requests_closed: "Pull requests closed",
+  pull_requests_merged: "Pull requests merged",
+  median_first_response_hours: "Median hours to first response",
+  median_merge_hours: "Median hours to merge",
+};
+
+const repositoryQuery = `
+    query ($owner: String!, $repo: String!) {
+      repository(owner: $owner, name: $repo) {
+        stargazerCount
+        defaultBranchRef {
+          target {
+            ... on Commit {
+              history(first: 1) {
+                totalCount
+              }
+            }
+          }
+        }
+      }
+    }`;
+
+// Every collector fills some columns of the stats file. Its collect function
+// runs once per repository and returns the values of any day that is
+// recorded, and the files it keeps next to the stats file. Values it can only
+// look up for a given past day are fetched with collectDates first. Every column is a
+// metric, with the key it is known by in badges, alerts and outputs. Stock
+// columns are counted at the end of a period, flow columns are summed over
+// it, and the columns are written to a table per family in the sqlite format.
+// Records are files of their own in the configured format, with the rows
+// collected for yesterday, and a chart is drawn on the dashboard.
+const collectors = [
+  {
+    name: "repository",
+    family: "repository",
+    columns: [
+      { column: "stargazers", key: "stars", label: "Stars", kind: "stock" },
+      { column: "commits", key: "commits", label: "Commits", kind: "stock" },
+    ],
+    chart: {
+      file: "stars.svg",
+      title: "Stars over time",
+      series: [{ column: "stargazers", name: "Stars", color: "#e3b341" }],
+    },
+    collect: async ({ octokit, owner, repo }) => {
+      const response = await octokit.graphql(repositoryQuery, { owner, repo });
+      const branchRef = response.repository.defaultBranchRef;
+      const values = {
+        stargazers: response.repository.stargazerCount,
+        commits: branchRef ? branchRef.target.history.totalCount : 0,
+      };
+      return { valuesOn: () => values };
+    },
+    log: (stats) => [
+      `Total Stargazers: ${stats.stargazers}`,
+      `Total Commits: ${stats.commits}`,
+    ],
+  },
+  {
+    name: "contributors",
+    family: "repository",
+    columns: [
+      {
+        column: "contributors",
+        key: "contributors",
+        label: "Contributors",
+        kind: "stock",
+      },
+    ],
+    collect: async ({ octokit, owner, repo, readFile }) => {
+      const { contributorsCount, contributorsCache } = await getContributors({
+        octokit,
+        owner,
+        repo,
+        cacheContent: await readFile(CONTRIBUTORS_CACHE_FILE),
+      });
+      return {
+        valuesOn: () => ({
+          contributors:
+            contributorsCount === null ? UNAVAILABLE : contributorsCount,
+        }),
+        files: [{ name: CONTRIBUTORS_CACHE_FILE, content: contributorsCache }],
+      };
+    },
+    log: (stats) => [`Total Contributors: ${stats.contributors}`],
+  },
+  {
+    name: "views",
+    family: "traffic",
+    columns: [
+      { column: "traffic_views", key: "views", label: "Views", kind: "flow" },
+      {
+        column: "traffic_uniques",
+        key: "visitors",
+        label: "Unique visitors",
+        kind: "flow",
+      },
+    ],
+    chart: {
+      file: "views.svg",
+      title: "Daily views",
+      series: [
+        { column: "traffic_views", name: "Views", color: "#2f81f7" },
+        {
+          column: "traffic_uniques",
+          name: "Unique visitors",
+          color: "#a371f7",
+        },
+      ],
+    },
+    collect: async ({ octokit, owner, repo }) => {
+      const views = await getViews(octokit, owner, repo);
+      return {
+        valuesOn: (dateString) => {
+          const { count, uniques } = getDailyCount(views, dateString);
+          return { traffic_views: count, traffic_uniques: uniques };
+        },
+      };
+    },
+    log: (stats) => [
+      `Total Views Yesterday: ${stats.traffic_views}`,
+      `Total Unique Views Yesterday: ${stats.traffic_uniques}`,
+    ],
+  },
+  {
+    name: "clones",
+    family: "traffic",
+    columns: [
+      { column: "clones_count", key: "clones", label: "Clones", kind: "flow" },
+      {
+        column: "clones_uniques",
+        key: "cloners",
+        label: "Unique cloners",
+        kind: "flow",
+      },
+    ],
+    chart: {
+      file: "clones.svg",
+      title: "Daily clones",
+      series: [
+        { column: "clones_count", name: "Clones", color: "#3fb950" },
+        { column: "clones_uniques", name: "Unique cloners", color: "#db6d28" },
+      ],
+    },
+    collect: async ({ octokit, owner, repo }) => {
+      const clones = await getClones(octokit, owner, repo);
+      return {
+        valuesOn: (dateString) => {
+          const { count, uniques } = getDailyCount(clones, dateString);
+          return { clones_count: count, clones_uniques: uniques };
+        },
+      };
+    },
+    log: (stats) => [
+      `Total Clones Yesterday: ${stats.clones_count}`,
+      `Total Unique Clones Yesterday: ${stats.clones_uniques}`,
+    ],
+  },
+  {
+    name: "health",
+    family: "health",
+    columns: healthColumns.map((column) => ({
+      column,
+      key: column,
+      label: healthLabels[column],
+      kind: healthStocks.includes(column) ? "stock" : "flow",
+    })),
+    // What is open can only be looked at as it is now, but the counts of a
+    // day can be searched again for a provisional day that is recorded again
+    collect: async ({ octokit, owner, repo, dateString }) => {
+      const health = await getHealthMetrics({
+        octokit,
+        owner,
+        repo,
+        dateString,
+      });
+      const unavailable = Object.fromEntries(
+        healthColumns.map((column) => [column, UNAVAILABLE])
+      );
+      const dayCounts = new Map();
+      return {
+        valuesOn: (date) =>
+          date === dateString
+            ? health
+            : { ...unavailable, ...dayCounts.get(date) },
+        collectDates: async (dates) => {
+          for (const date of dates.filter((date) => !dayCounts.has(date))) {
+            dayCounts.set(
+              date,
+              await getDayCounts({ octokit, owner, repo, dateString: date })
+            );
+          }
+        },
+      };
+    },
+    log: (stats) => [
+      `Open Issues: ${stats.open_issues}, Open Pull Requests: ${stats.open_pull_requests}`,
+      `Issues Yesterday: ${stats.issues_opened} opened, ${stats.issues_closed} closed`,
+      `Pull Requests Yesterday: ${stats.pull_requests_opened} opened, ${stats.pull_requests_closed} closed, ${stats.pull_requests_merged} merged`,
+      `Median Time to First Response: ${stats.median_first_response_hours} hours`,
+      `Median Time to Merge: ${stats.median_merge_hours} hours`,
+    ],
+  },
+  {
+    name: "popular",
+    family: "traffic",
+    columns: [],
+    records: [
+      { name: "referrers", columns: referrerColumns },
+      { name: "paths", columns: pathColumns },
+    ],
+    collect: async ({ octokit, owner, repo }) => {
+      const records = await getPopularContent(octokit, owner, repo);
+      return { valuesOn: () => ({}), records };
+    },
+    log: () => [],
+  },
+  {
+    name: "releases",
+    family: "repository",
+    columns: [],
+    records: [{ name: "releases", columns: releaseColumns }],
+    collect: async ({ octokit, owner, repo }) => {
+      const releases = await getReleaseAssets(octokit, owner, repo);
+      return { valuesOn: () => ({}), records: { releases } };
+    },
+    log: () => [],
+  },
+];
+
+const collectorNames = collectors.map(({ name }) => name);
+
+// The collectors chosen with the metrics input, all of them by default
+function getCollectors() {
+  const names = getListInput("metrics").map((name) => name.toLowerCase());
+  const unknown = names.filter((name) => !collectorNames.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown metrics ${unknown
+        .map((name) => `'${name}'`)
+        .join(", ")}. Please choose from ${collectorNames
+        .map((name) => `"${name}"`)
+        .join(", ")}.`
+    );
+  }
+  return names.length === 0
+    ? collectors
+    : collectors.filter(({ name }) => names.includes(name));
+}
+
+function listCollectorColumns(selected) {
+  return selected.flatMap(({ columns }) => columns.map(({ column }) => column));
+}
+
+// Runs the collectors for a repository, and combines their values into a
+// single function returning the row of a day
+async function runCollectors(selected, context) {
+  const results = await Promise.all(
+    selected.map((collector) => collector.collect(context))
+  );
+  return {
+    valuesOn: (dateString) =>
+      Object.assign({}, ...results.map(({ valuesOn }) => valuesOn(dateString))),
+    collectDates: (dates) =>
+      Promise.all(
+        results
+          .filter(({ collectDates }) => collectDates)
+          .map(({ collectDates }) => collectDates(dates))
+      ),
+    files: results.flatMap(({ files = [] }) => files),
+    records: Object.assign({}, ...results.map(({ records }) => records)),
+  };
+}
+
+module.exports = {
+  UNAVAILABLE,
+  collectorNames,
+  collectors,
+  getCollectors,
+  listCollectorColumns,
+  runCollectors,
+};
@@ -0,0 +1,92 @@
+const core = require("@actions/core");
+const crypto = require("crypto");
+
+const commitMethods = ["git", "contents"];
+
+// The SHA git gives a file with this content, to tell whether a generated
+// file differs from the one on the branch without uploading it
+function getBlobSha({ content, encoding = "utf-8" }) {
+  const bytes = Buffer.from(content, encoding);
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${bytes.length}\0`)
+    .update(bytes)
+    .digest("hex");
+}
+
+// Files that would change the branch, given the blob SHAs by path on it.
+// Without those, every file is taken to change.
+function listChangedFiles(files, existingShas) {
+  if (!existingShas) {
+    return files;
+  }
+  return files.filter((file) =>
+    file.content === null
+      ? existingShas.has(file.path)
+      : existingShas.get(file.path) !== getBlobSha(file)
+  );
+}
+
+// Fills in the commit-message template, with {repository}, {date} and a
+// placeholder per column of the stats file, e.g. {stargazers}. The updates
+// hold the stats of yesterday per repository, and the columns are left empty
+// when several repositories are committed together.
+function formatCommitMessage({ template, updates, date }) {
+  const single = updates.length === 1;
+  const repository = single
+    ? updates[0].repository
+    : `${updates.length} repositories`;
+  if (!template) {
+    return single
+      ? `Update stats file for ${repository}`
+      : `Update stats files for ${repository}`;
+  }
+  const columns = Object.keys(
+    Object.assign({}, ...updates.map(({ stats }) => stats))
+  );
+  const values = {
+    ...Object.fromEntries(
+      columns.map((column) => [column, single ? updates[0].stats[column] : ""])
+    ),
+    repository,
+    date,
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? String(values[name] ?? "") : placeholder
+  );
+}
+
+// The author of the commits, or null to leave it to the token's identity
+function getCommitAuthor() {
+  const name = core.getInput("author-name");
+  const email = core.getInput("author-email");
+  if (!name && !email) {
+    return null;
+  }
+  if (!name || !email) {
+    throw new Error(
+      "Inputs 'author-name' and 'author-email' must be set together."
+    );
+  }
+  return { name, email };
+}
+
+function getCommitMethod() {
+  const method = (core.getInput("commit-method") || "git").toLowerCase();
+  if (!commitMethods.includes(method)) {
+    throw new Error(
+      `Unsupported commit-method '${method}'. Please choose one of ${commitMethods
+        .map((name) => `"${name}"`)
+        .join(", ")}.`
+    );
+  }
+  return method;
+}
+
+module.exports = {
+  formatCommitMessage,
+  getBlobSha,
+  getCommitAuthor,
+  getCommitMethod,
+  listChangedFiles,
+};
@@ -0,0 +1,336 @@
+const { isRateLimitError } = require("./client");
+const { getBooleanInput } = require("./inputs");
+
+const commitFields = `
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              nodes {
+                oid
+                message
+                author {
+                  name
+                  email
+                  user {
+                    login
+                  }
+                }
+              }`;
+
+// The first page of the default branch history, whose first commit is its head
+const historyQuery = `
+  query ($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: 100) {${commitFields}
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// The following pages, from the head the walk started at, so a walk that is
+// resumed by a later run goes on where it stopped
+const commitHistoryQuery = `
+  query ($owner: String!, $repo: String!, $oid: GitObjectID!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      object(oid: $oid) {
+        ... on Commit {
+          history(first: 100, after: $cursor) {${commitFields}
+          }
+        }
+      }
+    }
+  }`;
+
+const coAuthorPattern = /^co-authored-by:\s*(.*?)\s*<([^>]*)>\s*$/gim;
+
+function getContributorOptions() {
+  return {
+    dedupeByEmail: getBooleanInput("contributors-dedupe-by-email"),
+    includeCoAuthors: getBooleanInput("contributors-include-co-authors"),
+  };
+}
+
+function parseCoAuthors(message) {
+  return [...(message || "").matchAll(coAuthorPattern)].map((match) => ({
+    name: match[1],
+    email: match[2],
+  }));
+}
+
+// Records a person once per login/email/name combination, remembering
+// whether they appeared as a commit author, a co-author, or both
+function addPerson(people, { login, email, name }, role) {
+  const person = {
+    login: login ? login.toLowerCase() : null,
+    email: email ? email.toLowerCase() : null,
+    name: name || null,
+  };
+  const key = `${person.login}|${person.email}|${person.name}`;
+  const existing = people.get(key) || {
+    ...person,
+    author: false,
+    coAuthor: false,
+  };
+  existing[role] = true;
+  people.set(key, existing);
+}
+
+function parseContributorsCache(content) {
+  if (!content) {
+    return null;
+  }
+  try {
+    const cache = JSON.parse(content);
+    const walking = cache && cache.walk && typeof cache.walk.head === "string";
+    if (
+      cache &&
+      (typeof cache.head === "string" || walking) &&
+      Array.isArray(cache.people)
+    ) {
+      return cache;
+    }
+  } catch (error) {
+    // Fall through to a full scan
+  }
+  console.log("Ignoring invalid contributors cache, scanning full history.");
+  return null;
+}
+
+function addCommit(people, { author, message }) {
+  const commitAuthor = author || {};
+  addPerson(
+    people,
+    {
+      ...commitAuthor,
+      login: commitAuthor.user ? commitAuthor.user.login : null,
+    },
+    "author"
+  );
+  for (const coAuthor of parseCoAuthors(message)) {
+    addPerson(people, coAuthor, "coAuthor");
+  }
+}
+
+// Adds the people of the commits on the branch head that the cached head
+// doesn't have. Commits merged from an older branch are listed after the
+// cached head in the history, so these are compared rather than walked.
+// Returns null when the cached head is no longer part of the branch, e.g.
+// after a force push.
+async function scanNewCommits(octokit, owner, repo, { base, head, people }) {
+  let scanned = 0;
+  for (let page = 1; ; page++) {
+    let data;
+    try {
+      ({ data } = await octokit.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${base}...${head}`,
+        per_page: 100,
+        page,
+      }));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+    if (data.status !== "ahead") {
+      return null;
+    }
+    for (const { commit, author } of data.commits) {
+      addCommit(people, {
+        author: { ...commit.author, user: author },
+        message: commit.message,
+      });
+    }
+    scanned += data.commits.length;
+    if (data.commits.length < 100 || scanned >= data.total_commits) {
+      return scanned;
+    }
+  }
+}
+
+// Scans the people of the whole default branch history, unless the cache
+// was built from an ancestor of its head, in which case only the commits
+// since are scanned. A scan that ran out of rate limit is resumed.
+async function updateContributorsCache(octokit, owner, repo, cache) {
+  const people = new Map();
+  const addCachedPeople = () => {
+    for (const person of cache.people) {
+      if (person.author) addPerson(people, person, "author");
+      if (person.coAuthor) addPerson(people, person, "coAuthor");
+    }
+  };
+  if (cache && cache.walk) {
+    console.log("Resuming the contributors scan of an earlier run.");
+    addCachedPeople();
+    return walkHistory(octokit, owner, repo, { ...cache.walk, people });
+  }
+
+  let history;
+  let head;
+  try {
+    const response = await octokit.graphql(historyQuery, { owner, repo });
+    const branchRef = response.repository.defaultBranchRef;
+    if (!branchRef) {
+      return { head: null, people: [] };
+    }
+    history = branchRef.target.history;
+    head = history.nodes.length > 0 ? history.nodes[0].oid || null : null;
+    if (cache && head) {
+      addCachedPeople();
+      const newCommits =
+        head === cache.head
+          ? 0
+          : await scanNewCommits(octokit, owner, repo, {
+              base: cache.head,
+              head,
+              people,
+            });
+      if (newCommits !== null) {
+        console.log(`Scanned ${newCommits} new commits for contributors.`);
+        return { head, people: [...people.values()] };
+      }
+      console.log(
+        "The cached head is no longer part of the default branch, scanning full history."
+      );
+      people.clear();
+    }
+  } catch (error) {
+    if (!cache || !isRateLimitError(error)) {
+      throw error;
+    }
+    // The cache is still right up to its head, so the next run goes on from there
+    console.log(`Keeping the contributors cache: ${error.message}`);
+    return { head: cache.head, people: cache.people };
+  }
+
+  return walkHistory(octokit, owner, repo, { head, people, history });
+}
+
+// Walks the history of the head newest first, from the page after the
+// cursor. When the rate limit runs out, the people found so far are returned
+// with the walk to resume from, as backfill.js does for the star history.
+async function walkHistory(
+  octokit,
+  owner,
+  repo,
+  { head, cursor = null, people, history: firstPage = null }
+) {
+  let history = firstPage;
+  let scanned = 0;
+  for (;;) {
+    if (!history) {
+      let response;
+      try {
+        response = await octokit.graphql(commitHistoryQuery, {
+          owner,
+          repo,
+          oid: head,
+          cursor,
+        });
+      } catch (error) {
+        if (!isRateLimitError(error)) {
+          throw error;
+        }
+        console.log(
+          `Pausing the contributors scan after ${scanned} commits: ${error.message}`
+        );
+        return {
+          head: null,
+          people: [...people.values()],
+          walk: { head, cursor },
+        };
+      }
+      if (!response.repository.object) {
+        // The head the walk started at is gone, e.g. after a force push
+        console.log("Restarting the contributors scan from the current head.");
+        return updateContributorsCache(octokit, owner, repo, null);
+      }
+      history = response.repository.object.history;
+    }
+
+    for (const node of history.nodes) {
+      scanned++;
+      addCommit(people, node);
+    }
+    if (!history.pageInfo || !history.pageInfo.hasNextPage) {
+      break;
+    }
+    cursor = history.pageInfo.endCursor;
+    history = null;
+  }
+
+  console.log(`Scanned ${scanned} commits for contributors.`);
+  return { head, people: [...people.values()] };
+}
+
+// Counts distinct people. Linked accounts are identified by login, other
+// authors by name and email, or by email alone when deduplicating by email.
+// Deduplicating by email also merges unlinked commits into the account
+// that used the same email elsewhere.
+function countContributors(people, { dedupeByEmail, includeCoAuthors }) {
+  const parents = new Map();
+  const find = (key) => {
+    while (parents.get(key) !== key) {
+      key = parents.get(key);
+    }
+    return key;
+  };
+  const union = (a, b) => parents.set(find(a), find(b));
+
+  const roots = [];
+  for (const person of people) {
+    if (!person.author && !(includeCoAuthors && person.coAuthor)) {
+      continue;
+    }
+
+    const keys = [];
+    if (person.login) keys.push(`login:${person.login}`);
+    if (dedupeByEmail && person.email) keys.push(`email:${person.email}`);
+    if (keys.length === 0) {
+      keys.push(`anonymous:${person.name}<${person.email}>`);
+    }
+
+    for (const key of keys) {
+      if (!parents.has(key)) parents.set(key, key);
+    }
+    for (const key of keys.slice(1)) {
+      union(key, keys[0]);
+    }
+    roots.push(keys[0]);
+  }
+
+  return new Set(roots.map(find)).size;
+}
+
+// The count is null while the scan of the history is paused, as it would
+// only cover part of it
+async function getContributors({ octokit, owner, repo, cacheContent }) {
+  const cache = parseContributorsCache(cacheContent);
+  const updatedCache = await updateContributorsCache(
+    octokit,
+    owner,
+    repo,
+    cache
+  );
+
+  return {
+    contributorsCount: updatedCache.walk
+      ? null
+      : countContributors(updatedCache.people, getContributorOptions()),
+    contributorsCache: JSON.stringify(updatedCache, null, 2),
+  };
+}
+
+module.exports = {
+  countContributors,
+  getContributors,
+  parseCoAuthors,
+};
@@ -0,0 +1,203 @@
+const { getCollectors } = require("./collectors");
+const { toNumber } = require("./metrics");
+
+const WIDTH = 800;
+const HEIGHT = 300;
+const PADDING = { top: 40, right: 20, bottom: 40, left: 60 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FONT_FAMILY = "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Rounds the maximum up to 1, 2 or 5 times a power of ten
+function niceMaximum(value) {
+  if (value <= 0) {
+    return 1;
+  }
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+}
+
+function tag(name, attributes, text) {
+  const attributeText = formatAttributes(attributes);
+  return text === undefined
+    ? `<${name}${attributeText}/>`
+    : `<${name}${attributeText}>${escapeXml(text)}</${name}>`;
+}
+
+function renderLineChart({ title, rows, series }) {
+  const days = rows.map((row) => Date.parse(`${row.date}T00:00:00Z`) / DAY_MS);
+  const firstDay = Math.min(...days);
+  const dayRange = Math.max(Math.max(...days) - firstDay, 1);
+  const values = series.map(({ column }) =>
+    rows.map((row) => toNumber(row[column]))
+  );
+  const yMax = niceMaximum(
+    Math.max(0, ...values.flat().filter((value) => value !== null))
+  );
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const round = (value) => Math.round(value * 10) / 10;
+  const x = (day) =>
+    round(PADDING.left + ((day - firstDay) / dayRange) * plotWidth);
+  const y = (value) =>
+    round(PADDING.top + plotHeight - (value / yMax) * plotHeight);
+
+  const elements = [
+    tag("rect", { width: WIDTH, height: HEIGHT, fill: "#ffffff" }),
+    tag(
+      "text",
+      { x: PADDING.left, y: 24, "font-size": 16, "font-weight": "bold" },
+      title
+    ),
+  ];
+
+  for (let i = 0; i <= 4; i++) {
+    const value = (yMax / 4) * i;
+    elements.push(
+      tag("line", {
+        x1: PADDING.left,
+        x2: WIDTH - PADDING.right,
+        y1: y(value),
+        y2: y(value),
+        stroke: "#d0d7de",
+      }),
+      tag(
+        "text",
+        {
+          x: PADDING.left - 8,
+          y: y(value) + 4,
+          "font-size": 11,
+          "text-anchor": "end",
+        },
+        +value.toFixed(2)
+      )
+    );
+  }
+
+  const labelIndexes = rows.length
+    ? [...new Set([0, Math.floor((rows.length - 1) / 2), rows.length - 1])]
+    : [];
+  for (const index of labelIndexes) {
+    elements.push(
+      tag(
+        "text",
+        {
+          x: x(days[index]),
+          y: HEIGHT - 16,
+          "font-size": 11,
+          "text-anchor": "middle",
+        },
+        rows[index].date
+      )
+    );
+  }
+
+  series.forEach(({ name, color }, seriesIndex) => {
+    // Split the line wherever a value is missing
+    const segments = [[]];
+    values[seriesIndex].forEach((value, index) => {
+      if (value === null) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push([x(days[index]), y(value)]);
+      }
+    });
+    for (const points of segments.filter((segment) => segment.length > 0)) {
+      elements.push(
+        points.length === 1
+          ? tag("circle", {
+              cx: points[0][0],
+              cy: points[0][1],
+              r: 2,
+              fill: color,
+            })
+          : tag("polyline", {
+              points: points.map((point) => point.join(",")).join(" "),
+              fill: "none",
+              stroke: color,
+              "stroke-width": 2,
+            })
+      );
+    }
+
+    const legendX = WIDTH - PADDING.right - 150 * (series.length - seriesIndex);
+    elements.push(
+      tag("rect", { x: legendX, y: 14, width: 12, height: 12, fill: color }),
+      tag("text", { x: legendX + 18, y: 24, "font-size": 12 }, name)
+    );
+  });
+
+  const svgAttributes = formatAttributes({
+    xmlns: "http://www.w3.org/2000/svg",
+    width: WIDTH,
+    height: HEIGHT,
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    "font-family": FONT_FAMILY,
+    fill: "#24292f",
+  });
+
+  return [`<svg${svgAttributes}>`, ...elements, "</svg>"].join("\n");
+}
+
+// Renders the chart of every chosen collector that has one, and an
+// index.html embedding all of them, with no external assets so the page can
+// be served as is from GitHub Pages
+function renderDashboard({ repository, rows }) {
+  const sortedRows = [...rows].sort((a, b) =>
+    a.date < b.date ? -1 : a.date > b.date ? 1 : 0
+  );
+  const charts = getCollectors()
+    .filter(({ chart }) => chart)
+    .map(({ chart }) => chart);
+  const files = charts.map(({ file, title, series }) => ({
+    name: file,
+    content: renderLineChart({ title, rows: sortedRows, series }),
+  }));
+
+  const lastDate = sortedRows.length
+    ? sortedRows[sortedRows.length - 1].date
+    : "";
+  const title = `Insights for ${repository}`;
+  const html = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    tag("title", {}, title),
+    `<style>body{font-family:${FONT_FAMILY};color:#24292f;max-width:840px;margin:2rem auto;padding:0 1rem}svg{max-width:100%;height:auto;margin-bottom:1.5rem}</style>`,
+    "</head>",
+    "<body>",
+    tag("h1", {}, title),
+    tag(
+      "p",
+      {},
+      `${sortedRows.length} days recorded, last updated for ${lastDate}.`
+    ),
+    ...files.map(({ content }) => content),
+    "</body>",
+    "</html>",
+  ].join("\n");
+
+  return [...files, { name: "index.html", content: html }];
+}
+
+module.exports = {
+  renderDashboard,
+  renderLineChart,
+};
@@ -0,0 +1,53 @@
+// Dates are handled as UTC 'YYYY-MM-DD' strings, matching the traffic API buckets
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+// The date it is in a time zone such as "Europe/Berlin", which throws a
+// RangeError for unknown time zones
+function toDateStringInTimeZone(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function getYesterdayDateString(timeZone = "UTC") {
+  return addDays(toDateStringInTimeZone(new Date(), timeZone), -1);
+}
+
+// Days up to yesterday in UTC are over, so their traffic buckets are final
+function isCompleteDate(dateString) {
+  return dateString < toDateString(new Date());
+}
+
+// Lists every date from start to end, both inclusive
+function listDates(start, end) {
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+module.exports = {
+  addDays,
+  getYesterdayDateString,
+  isCompleteDate,
+  listDates,
+  toDateString,
+  toDateStringInTimeZone,
+};
@@ -0,0 +1,174 @@
+const { addDays } = require("./dates");
+const { getNumberInput } = require("./inputs");
+
+const healthColumns = [
+  "open_issues",
+  "open_pull_requests",
+  "issues_opened",
+  "issues_closed",
+  "pull_requests_opened",
+  "pull_requests_closed",
+  "pull_requests_merged",
+  "median_first_response_hours",
+  "median_merge_hours",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Search counts for the repository, keyed by the column they fill
+function getCountQueries(owner, repo, dateString) {
+  const scope = `repo:${owner}/${repo}`;
+  return {
+    open_issues: `${scope} is:issue is:open`,
+    open_pull_requests: `${scope} is:pr is:open`,
+    issues_opened: `${scope} is:issue created:${dateString}`,
+    issues_closed: `${scope} is:issue closed:${dateString}`,
+    pull_requests_opened: `${scope} is:pr created:${dateString}`,
+    // Merged pull requests are closed as well, so only count the others
+    pull_requests_closed: `${scope} is:pr is:unmerged closed:${dateString}`,
+    pull_requests_merged: `${scope} is:pr merged:${dateString}`,
+  };
+}
+
+async function getCounts(octokit, queries) {
+  const columns = Object.keys(queries);
+  const response = await octokit.graphql(
+    `query (${columns.map((column) => `$${column}: String!`).join(", ")}) {
+      ${columns
+        .map(
+          (column) =>
+            `${column}: search(query: $${column}, type: ISSUE) { issueCount }`
+        )
+        .join("\n")}
+    }`,
+    queries
+  );
+  return Object.fromEntries(
+    columns.map((column) => [column, response[column].issueCount])
+  );
+}
+
+// Search results are capped at 1,000 items, which is plenty for a window of days
+async function searchAll(octokit, query, fields) {
+  const nodes = [];
+  let cursor = null;
+  do {
+    const { search } = await octokit.graphql(
+      `query ($query: String!, $cursor: String) {
+        search(query: $query, type: ISSUE, first: 100, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${fields}
+          }
+        }
+      }`,
+      { query, cursor }
+    );
+    nodes.push(...search.nodes);
+    cursor = search.pageInfo.hasNextPage ? search.pageInfo.endCursor : null;
+  } while (cursor);
+  return nodes;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toHours(milliseconds) {
+  return milliseconds === null
+    ? null
+    : Math.round((milliseconds / HOUR_MS) * 10) / 10;
+}
+
+const responseFields = `
+  createdAt author { login }
+  comments(first: 20) { nodes { createdAt author { login __typename } } }`;
+
+// The first comment or review by anyone but the author or a bot, where
+// items that are still waiting for one are left out
+function getFirstResponseTime(item) {
+  const responses = [
+    ...item.comments.nodes,
+    ...(item.reviews ? item.reviews.nodes : []),
+  ].filter(
+    ({ author }) =>
+      author &&
+      author.__typename !== "Bot" &&
+      (!item.author || author.login !== item.author.login)
+  );
+  if (responses.length === 0) {
+    return null;
+  }
+  const first = Math.min(
+    ...responses.map(({ createdAt }) => Date.parse(createdAt))
+  );
+  return first - Date.parse(item.createdAt);
+}
+
+// Counts of the issues and pull requests opened, closed and merged on a day.
+// These can be searched for any past date, unlike what is open.
+async function getDayCounts({ octokit, owner, repo, dateString }) {
+  const {
+    open_issues: openIssues,
+    open_pull_requests: openPullRequests,
+    ...queries
+  } = getCountQueries(owner, repo, dateString);
+  return getCounts(octokit, queries);
+}
+
+// Counts for the day and medians over the window of days ending on it
+async function getHealthMetrics({ octokit, owner, repo, dateString }) {
+  const window = getNumberInput("health-window", 28);
+  const range = `${addDays(dateString, 1 - window)}..${dateString}`;
+  const scope = `repo:${owner}/${repo}`;
+
+  const counts = await getCounts(
+    octokit,
+    getCountQueries(owner, repo, dateString)
+  );
+  const created = await searchAll(
+    octokit,
+    `${scope} created:${range}`,
+    `... on Issue { ${responseFields} }
+     ... on PullRequest {
+       ${responseFields}
+       reviews(first: 20) { nodes { createdAt author { login __typename } } }
+     }`
+  );
+  const merged = await searchAll(
+    octokit,
+    `${scope} is:pr merged:${range}`,
+    "... on PullRequest { createdAt mergedAt }"
+  );
+
+  return {
+    ...counts,
+    median_first_response_hours: toHours(
+      median(created.map(getFirstResponseTime).filter((time) => time !== null))
+    ),
+    median_merge_hours: toHours(
+      median(
+        merged.map(
+          ({ createdAt, mergedAt }) =>
+            Date.parse(mergedAt) - Date.parse(createdAt)
+        )
+      )
+    ),
+  };
+}
+
+module.exports = {
+  getDayCounts,
+  getHealthMetrics,
+  healthColumns,
+};
@@ -0,0 +1,31 @@
+const core = require("@actions/core");
+
+// Splits a list input on newlines and commas, dropping empty entries
+function getListInput(name) {
+  return (core.getInput(name) || "")
+    .split(/[\n,]/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "");
+}
+
+function getBooleanInput(name) {
+  return (core.getInput(name) || "").trim().toLowerCase() === "true";
+}
+
+function getNumberInput(name, defaultValue) {
+  const value = (core.getInput(name) || "").trim();
+  if (value === "") {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`Input '${name}' must be a number, got '${value}'.`);
+  }
+  return number;
+}
+
+module.exports = {
+  getBooleanInput,
+  getListInput,
+  getNumberInput,
+};
@@ -1,359 +1,984 @@
 const core = require("@actions/core");
-const github = require("@actions/github");
 const path = require("path");
 const { Base64 } = require("js-base64");
+const { detectAlerts, getAlertConfig, reportAlerts } = require("./alerts");
+const { createClients } = require("./auth");
+const { getCumulativeHistory } = require("./backfill");
+const { getBadgeConfig, renderBadges } = require("./badges");
+const { describeAccessError, logRateLimits, sleep } = require("./client");
+const {
+  formatCommitMessage,
+  getCommitAuthor,
+  getCommitMethod,
+  listChangedFiles,
+} = require("./commits");
+const {
+  UNAVAILABLE,
+  collectors,
+  getCollectors,
+  listCollectorColumns,
+  runCollectors,
+} = require("./collectors");
+const { renderDashboard } = require("./dashboard");
+const { createDirectoryStore, createDryRunStore } = require("./local");
+const { getCompleteRows } = require("./metrics");
+const {
+  addDays,
+  getYesterdayDateString,
+  isCompleteDate,
+  listDates,
+  toDateStringInTimeZone,
+} = require("./dates");
+const { computeReleaseDownloads } = require("./releases");
+const { getStorageRepository, resolveRepositories } = require("./repositories");
+const { generateRollupContents, rollupFiles } = require("./rollups");
+const { getBooleanInput, getNumberInput } = require("./inputs");
+const {
+  checkRows,
+  formatNames,
+  getFileEncoding,
+  listColumns,
+  loadFormat,
+  parseRows,
+  parseSchema,
+  replaceRowsForDate,
+  restoreCsvTypes,
+  serializeRows,
+  serializeSchema,
+  splitArchivedRows,
+  upsertRows,
+} = require("./storage");
+const {
+  computeAggregates,
+  getAggregateOutputs,
+  writeSummary,
+} = require("./summary");
+const { findMissingDates } = require("./traffic");
 
-async function run() {
-  try {
-    const token = core.getInput("github-token");
-    const octokit = github.getOctokit(token);
-    const owner = core.getInput("owner");
-    const repo = core.getInput("repository");
-    const branch = core.getInput("branch");
+// Tables of the stats file in the sqlite format, one per family of metrics.
+// Every collector has its table, whether it runs or not, so the layout of
+// the file doesn't change with the metrics input.
+const statsFamilies = {};
+for (const { family, columns } of collectors) {
+  statsFamilies[family] = [
+    ...(statsFamilies[family] || []),
+    ...columns.map(({ column }) => column),
+  ];
+}
+statsFamilies.traffic.push("provisional");
 
-    const { stargazerCount, commitCount, contributorsCount } =
-      await getRepoStats(octokit, owner, repo);
+const flowColumns = collectors.flatMap(({ columns }) =>
+  columns.filter(({ kind }) => kind === "flow").map(({ column }) => column)
+);
 
-    await ensureBranchExists({ octokit, branch });
+// Files of rows other than the stats, which some collectors fill for the day
+const records = collectors.flatMap((collector) => collector.records || []);
 
-    let [insightsFile, insightsCount] = await getInsightsFile({
-      octokit,
-      branch,
-    });
+// Progress of a star and commit history rebuild that is not done yet
+const HISTORY_CHECKPOINT_FILE = "history-checkpoint.json";
 
-    // Check if the insights file is empty or has less than 14 entries
-    if (insightsCount < 14) {
-      console.log("Insights file is empty or has less than 14 entries.");
-      console.log(
-        "Ensuring the previous 14 days of data are present in the insights file."
-      );
+// Version and format of the stored files, next to them
+const SCHEMA_FILE = "schema.json";
+
+// Files kept in the configured format, which are converted when it changes
+const formattedFiles = [
+  "stats",
+  ...records.map(({ name }) => name),
+  ...rollupFiles,
+];
 
-      let i = 14;
-      while (i != 1) {
-        // Capture the previous 13 days of data
-        const today = new Date();
-        today.setDate(today.getDate() - i);
-        let yesterdayDateString = today.toISOString().split("T")[0];
-
-        let [yesterdayTraffic, yesterdayClones] = await Promise.all([
-          getYesterdayTraffic(octokit, owner, repo, yesterdayDateString),
-          getYesterdayClones(octokit, owner, repo, yesterdayDateString),
-        ]);
-
-        insightsFile = await generateFileContent({
-          insightsFile,
-          stargazerCount,
-          commitCount,
-          contributorsCount,
-          yesterdayTraffic,
-          yesterdayClones,
-          yesterdayDateString,
+// Collects the insights and commits them to the insights branch, or writes
+// them to a local directory, or only prints the changes on a dry run
+async function run({ outputDirectory, dryRun = false } = {}) {
+  try {
+    const { octokit, storageOctokit } = await createClients();
+    const branch = core.getInput("branch");
+    const baseStore = outputDirectory
+      ? createDirectoryStore(outputDirectory)
+      : createBranchStore({
+          octokit: storageOctokit,
+          repository: getStorageRepository(),
+          branch,
+          author: getCommitAuthor(),
+          method: getCommitMethod(),
         });
+    const store = dryRun ? createDryRunStore(baseStore) : baseStore;
+    const timeZone = getTimeZone();
+    const selectedCollectors = getCollectors();
+    const needsPushAccess = selectedCollectors.some(
+      ({ family }) => family === "traffic"
+    );
+    const badgeConfig = getBadgeConfig();
+    const alertConfig = getAlertConfig();
 
-        i--;
+    const repositories = await resolveRepositories(octokit);
+    if (repositories.length === 0) {
+      throw new Error("No repositories matched the configured inputs.");
+    }
+
+    await store.prepare();
+
+    const collected = [];
+    const failures = new Map();
+    const history = new Map();
+
+    for (const { owner, repo } of repositories) {
+      console.log(`Collecting insights for ${owner}/${repo}.`);
+      try {
+        const insights = await collectRepositoryInsights({
+          octokit,
+          store,
+          owner,
+          repo,
+          timeZone,
+          selectedCollectors,
+        });
+        logResults(selectedCollectors, insights.stats);
+        collected.push({ owner, repo, insights });
+      } catch (error) {
+        console.log(error);
+        const accessError = describeAccessError(error, `${owner}/${repo}`);
+        failures.set(
+          `${owner}/${repo}`,
+          accessError && needsPushAccess
+            ? `${accessError} Collecting its insights takes push access, for the traffic.`
+            : accessError || error.message
+        );
       }
     }
 
-    // Normal workflow only capturing the previous day's data
-    const yesterdayDateString = getYesterdayDateString();
+    // Merges the collected insights into the files as they are at the given
+    // commit, which is repeated whenever another job moved the branch
+    const generateChanges = async (ref) => {
+      const files = [];
+      const updated = [];
+      for (const { owner, repo, insights } of collected) {
+        if (failures.has(`${owner}/${repo}`)) {
+          continue;
+        }
+        try {
+          const {
+            files: repositoryFiles,
+            rows,
+            downloads,
+          } = await generateRepositoryFiles({
+            store,
+            ref,
+            owner,
+            repo,
+            insights,
+            badgeConfig,
+          });
+          files.push(...repositoryFiles);
+          history.set(`${owner}/${repo}`, { rows, downloads });
+          updated.push({
+            repository: `${owner}/${repo}`,
+            stats: insights.stats,
+            date: insights.yesterdayDateString,
+          });
+        } catch (error) {
+          console.log(error);
+          failures.set(`${owner}/${repo}`, error.message);
+        }
+      }
+      return {
+        files,
+        message: formatCommitMessage({
+          template: core.getInput("commit-message"),
+          updates: updated,
+          date: updated.length > 0 ? updated[0].date : "",
+        }),
+      };
+    };
 
-    const [yesterdayTraffic, yesterdayClones] = await Promise.all([
-      getYesterdayTraffic(octokit, owner, repo, yesterdayDateString),
-      getYesterdayClones(octokit, owner, repo, yesterdayDateString),
-    ]);
+    const commitSha =
+      collected.length > 0 ? await store.commit(generateChanges) : null;
+    core.setOutput("commit_sha", commitSha || "");
 
-    logResults({
-      stargazerCount,
-      commitCount,
-      contributorsCount,
-      yesterdayTraffic,
-      yesterdayClones,
+    const reports = [];
+    const results = repositories.map(({ owner, repo }) => {
+      const repository = `${owner}/${repo}`;
+      if (failures.has(repository)) {
+        return { repository, error: failures.get(repository) };
+      }
+      const { insights } = collected.find(
+        (entry) => entry.owner === owner && entry.repo === repo
+      );
+      const { rows, downloads } = history.get(repository);
+      const aggregates = computeAggregates(rows, insights.yesterdayDateString);
+      reports.push({
+        repository,
+        // The summary ends on the last complete day, as the aggregates do
+        endDate: getCompleteRows(rows, insights.yesterdayDateString).endDate,
+        aggregates,
+      });
+      return {
+        repository,
+        ...insights.stats,
+        ...getAggregateOutputs(aggregates),
+        ...(downloads && {
+          release_downloads: downloads.daily,
+          release_downloads_total: downloads.total,
+        }),
+      };
     });
 
-    setOutputs({
-      stargazerCount,
-      commitCount,
-      contributorsCount,
-      yesterdayTraffic,
-      yesterdayClones,
-    });
+    if (repositories.length === 1 && failures.size === 0) {
+      setOutputs(selectedCollectors, results[0]);
+    }
+    core.setOutput("results", JSON.stringify(results));
 
-    const fileContent = await generateFileContent({
-      insightsFile,
-      stargazerCount,
-      commitCount,
-      contributorsCount,
-      yesterdayTraffic,
-      yesterdayClones,
-      yesterdayDateString,
-    });
-    // console.log("File Content:", fileContent);
+    if (reports.length > 0) {
+      await writeSummary(reports);
+    }
 
-    await commitFileToBranch({
-      octokit,
-      branch,
-      fileContent,
-    });
+    const alerts = [];
+    const errors = [];
+    for (const { repository, endDate } of reports) {
+      const repositoryAlerts = detectAlerts({
+        rows: history.get(repository).rows,
+        endDate,
+        config: alertConfig,
+      });
+      for (const alert of repositoryAlerts) {
+        console.log(
+          `Alert for ${repository}: ${alert.label} was ${alert.value} on ${alert.date}, against an average of ${alert.baseline} (${alert.rule}).`
+        );
+        alerts.push({ repository, ...alert });
+      }
+      // A dry run changes nothing, not even the alert issue
+      if (dryRun) {
+        continue;
+      }
+      try {
+        await reportAlerts({
+          octokit: storageOctokit,
+          repository,
+          alerts: repositoryAlerts,
+          config: alertConfig,
+        });
+      } catch (error) {
+        console.log(error);
+        errors.push(error.message);
+      }
+    }
+    core.setOutput("alerts", JSON.stringify(alerts));
+
+    if (failures.size > 0) {
+      errors.unshift(
+        `Unable to collect insights for ${[...failures]
+          .map(([repository, message]) => `${repository}: ${message}`)
+          .join("; ")}`
+      );
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join(" "));
+    }
+    return results;
   } catch (error) {
     console.log(error);
     core.setFailed(`Action failed with error: ${error.message}`);
+  } finally {
+    logRateLimits();
   }
 }
 
-function getYesterdayDateString() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return yesterday.toISOString().split("T")[0];
-}
+// Fetches everything needed for the repository's files from the API
+async function collectRepositoryInsights({
+  octokit,
+  store,
+  owner,
+  repo,
+  timeZone,
+  selectedCollectors,
+}) {
+  const dirPath = getInsightsDirectory(owner, repo);
+  const yesterdayDateString = getYesterdayDateString(timeZone);
 
-async function getYesterdayTraffic(octokit, owner, repo, dateString) {
-  const { data: viewsData } = await octokit.rest.repos.getViews({
+  // When they are collected, a new stats file starts with the stargazers and
+  // commits of every past date, and a rebuild paused by the rate limit goes
+  // on where it stopped
+  const historyCheckpoint = await store.readFile({
+    filePath: path.join(dirPath, HISTORY_CHECKPOINT_FILE),
+  });
+  const rebuildHistory =
+    selectedCollectors.some(({ name }) => name === "repository") &&
+    (historyCheckpoint !== null ||
+      getBooleanInput("backfill-stars") ||
+      (await getStoredSchema({ store, dirPath })) === null);
+  const cumulativeHistory = rebuildHistory
+    ? await getCumulativeHistory(octokit, owner, repo, historyCheckpoint)
+    : null;
+
+  const collected = await runCollectors(selectedCollectors, {
+    octokit,
     owner,
     repo,
-    per: "day",
+    dateString: yesterdayDateString,
+    readFile: (name) => store.readFile({ filePath: path.join(dirPath, name) }),
   });
-  return (
-    viewsData.views.find(
-      (view) => view.timestamp.split("T")[0] === dateString
-    ) || { count: 0, uniques: 0 }
-  );
+
+  const buildEntry = (dateString) => {
+    const isPast =
+      cumulativeHistory &&
+      cumulativeHistory.complete &&
+      dateString !== yesterdayDateString;
+    return {
+      date: dateString,
+      ...collected.valuesOn(dateString),
+      ...(isPast && {
+        stargazers: cumulativeHistory.stargazersOn(dateString),
+        commits: cumulativeHistory.commitsOn(dateString),
+      }),
+      // Traffic of a day that isn't over yet in UTC is recorded again later
+      provisional: !isCompleteDate(dateString),
+    };
+  };
+
+  return {
+    buildEntry,
+    collectDates: collected.collectDates,
+    collectorFiles: collected.files,
+    records: collected.records,
+    cumulativeHistory,
+    yesterdayDateString,
+    stats: buildEntry(yesterdayDateString),
+  };
 }
 
-async function getYesterdayClones(octokit, owner, repo, dateString) {
-  const { data: clonesData } = await octokit.rest.repos.getClones({
-    owner,
-    repo,
-    per: "day",
+// Merges the collected insights into the repository's files at the given ref
+async function generateRepositoryFiles({
+  store,
+  ref,
+  owner,
+  repo,
+  insights,
+  badgeConfig,
+}) {
+  const { buildEntry, yesterdayDateString } = insights;
+  const dirPath = getInsightsDirectory(owner, repo);
+  const filePath = path.join(dirPath, `stats.${getFormat()}`);
+
+  const checkpointPath = path.join(dirPath, HISTORY_CHECKPOINT_FILE);
+  const encoding = getFileEncoding(getFormat());
+
+  const storedSchema = await getStoredSchema({ store, ref, dirPath });
+  const storedFormat = storedSchema && storedSchema.format;
+  const storedArchives = storedSchema ? storedSchema.archives : [];
+  const fileNames = [...formattedFiles, ...storedArchives.map(getArchiveName)];
+  const [storedFiles, checkpoint] = await Promise.all([
+    Promise.all(
+      fileNames.map((name) =>
+        readFormattedFile({ store, ref, dirPath, name, storedFormat })
+      )
+    ),
+    insights.cumulativeHistory
+      ? store.readFile({ ref, filePath: checkpointPath })
+      : null,
+  ]);
+  const stored = Object.fromEntries(
+    fileNames.map((name, index) => [name, storedFiles[index]])
+  );
+  const storedContents = Object.fromEntries(
+    fileNames.map((name) => [name, stored[name].content])
+  );
+  const insightsFile = addArchivedRows(
+    getInsightsFile({
+      existingContent: storedContents.stats,
+      filePath,
+      location: store.location,
+    }),
+    storedArchives.map((year) => storedContents[getArchiveName(year)])
+  );
+
+  // Files stored in the format used before are replaced by the converted ones
+  const replacedFiles = storedFiles
+    .filter(({ replacedPath }) => replacedPath)
+    .map(({ replacedPath }) => ({
+      path: replacedPath,
+      content: null,
+      encoding: getFileEncoding(storedFormat),
+    }));
+
+  const { backfill, unavailable } = findMissingDates({
+    recordedDates: getRecordedDates(insightsFile),
+    provisionalDates: getProvisionalDates(insightsFile),
+    yesterdayDateString,
   });
-  return (
-    clonesData.clones.find(
-      (clone) => clone.timestamp.split("T")[0] === dateString
-    ) || { count: 0, uniques: 0 }
+  if (backfill.length > 0) {
+    console.log(`Backfilling ${backfill.length} missing days of traffic.`);
+  }
+  if (unavailable.length > 0) {
+    console.log(
+      `Marking ${unavailable.length} missing days older than the traffic window as unavailable.`
+    );
+  }
+
+  // The checkpoint is kept while the rebuild is incomplete, and removed after
+  const { cumulativeHistory } = insights;
+  const checkpointFiles = !cumulativeHistory
+    ? []
+    : !cumulativeHistory.complete
+    ? [{ path: checkpointPath, content: cumulativeHistory.checkpoint }]
+    : checkpoint !== null
+    ? [{ path: checkpointPath, content: null }]
+    : [];
+
+  const historyEntries = buildHistoryEntries({
+    insightsFile,
+    cumulativeHistory: insights.cumulativeHistory,
+    endDate: yesterdayDateString,
+  });
+  if (historyEntries.length > 0) {
+    console.log(
+      `Rebuilding stargazers and commits for ${historyEntries.length} days since ${historyEntries[0].date}.`
+    );
+  }
+
+  // Yesterday is always rewritten, earlier days only when missing or
+  // provisional
+  const storedRows = new Map(
+    parseRows(insightsFile, getFormat()).map((row) => [row.date, row])
   );
-}
+  await insights.collectDates(
+    backfill.filter(
+      (dateString) =>
+        dateString !== yesterdayDateString && storedRows.has(dateString)
+    )
+  );
+  const entries = [
+    ...unavailable.map(buildUnavailableEntry),
+    ...historyEntries,
+    ...backfill
+      .filter((dateString) => dateString !== yesterdayDateString)
+      .map((dateString) =>
+        storedRows.has(dateString)
+          ? mergeProvisionalEntry(
+              storedRows.get(dateString),
+              buildEntry(dateString)
+            )
+          : buildEntry(dateString)
+      ),
+    insights.stats,
+  ];
 
-async function getRepoStats(octokit, owner, repo) {
-  const query = `
-    {
-      repository(owner: "${owner}", name: "${repo}") {
-        stargazerCount
-        defaultBranchRef {
-          target {
-            ... on Commit {
-              history(first: 100) {
-                totalCount
-                nodes {
-                  author {
-                    user {
-                      login
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+  // The records of a collector that isn't chosen are left as they are,
+  // unless they are converted to the new format
+  const recordContents = {};
+  for (const { name, columns } of records) {
+    if (insights.records[name]) {
+      try {
+        recordContents[name] = replaceRowsForDate({
+          content: storedContents[name],
+          format: getFormat(),
+          columns,
+          date: yesterdayDateString,
+          rows: insights.records[name],
+        });
+      } catch (error) {
+        throw new Error(`Unable to generate ${name} content: ${error.message}`);
       }
-    }`;
+    } else if (stored[name].replacedPath) {
+      recordContents[name] = storedContents[name];
+    }
+  }
+  const downloads = insights.records.releases
+    ? computeReleaseDownloads(
+        recordContents.releases,
+        getFormat(),
+        yesterdayDateString
+      )
+    : null;
+
+  const fileContent = await generateFileContent({ insightsFile, entries });
+
+  const rows = parseRows(fileContent, getFormat());
 
-  const response = await octokit.graphql(query);
+  // Rows older than the retention are moved to an archive file per year
+  const { current, archived } = splitArchivedRows(
+    rows,
+    getRetentionCutoff(yesterdayDateString)
+  );
+  const columns = listColumns(rows, getStatsColumns());
+  const serializeStats = (statsRows) =>
+    serializeRows(statsRows, columns, getFormat(), statsFamilies);
+  const archiveFiles = [...archived]
+    .map(([year, yearRows]) => ({
+      name: getArchiveName(year),
+      content: serializeStats(yearRows),
+    }))
+    .filter(
+      ({ name, content }) =>
+        !stored[name] ||
+        stored[name].replacedPath ||
+        stored[name].content !== content
+    )
+    .map(({ name, content }) => ({
+      path: path.join(dirPath, `${name}.${getFormat()}`),
+      content,
+      encoding,
+    }));
+  // Years that are no longer archived, as the retention grew or was removed
+  const unarchivedFiles = storedArchives
+    .filter((year) => !archived.has(year))
+    .map(getArchiveName)
+    .filter((name) => !stored[name].replacedPath && stored[name].content)
+    .map((name) => ({
+      path: path.join(dirPath, `${name}.${getFormat()}`),
+      content: null,
+      encoding,
+    }));
+  if (archiveFiles.length > 0) {
+    console.log(
+      `Keeping ${current.length} days in '${filePath}', and moving older days to ${archiveFiles.length} archive files.`
+    );
+  }
+
+  const rollupContents = generateRollupContents({
+    contents: storedContents,
+    rows,
+    dates: entries.map(({ date }) => date),
+    format: getFormat(),
+    families: statsFamilies,
+  });
+
+  const dashboardFiles = getBooleanInput("dashboard")
+    ? renderDashboard({
+        repository: `${owner}/${repo}`,
+        rows,
+      }).map(({ name, content }) => ({
+        path: path.join(dirPath, name),
+        content,
+      }))
+    : [];
 
-  const stargazerCount = response.repository.stargazerCount;
-  const commitCount =
-    response.repository.defaultBranchRef.target.history.totalCount;
+  const badgeFiles = renderBadges({
+    rows,
+    endDate: yesterdayDateString,
+    config: badgeConfig,
+  }).map(({ name, content }) => ({
+    path: path.join(dirPath, "badges", name),
+    content,
+  }));
+
+  const files = [
+    {
+      path: filePath,
+      content: archived.size > 0 ? serializeStats(current) : fileContent,
+      encoding,
+    },
+    {
+      path: path.join(dirPath, SCHEMA_FILE),
+      content: serializeSchema({
+        format: getFormat(),
+        columns,
+        archives: [...archived.keys()].sort(),
+      }),
+    },
+    ...insights.collectorFiles.map(({ name, content }) => ({
+      path: path.join(dirPath, name),
+      content,
+    })),
+    ...Object.entries(recordContents).map(([name, content]) => ({
+      path: path.join(dirPath, `${name}.${getFormat()}`),
+      content,
+      encoding,
+    })),
+    ...rollupFiles.map((name) => ({
+      path: path.join(dirPath, `${name}.${getFormat()}`),
+      content: rollupContents[name],
+      encoding,
+    })),
+    ...archiveFiles,
+    ...unarchivedFiles,
+    ...replacedFiles,
+    ...checkpointFiles,
+    ...dashboardFiles,
+    ...badgeFiles,
+  ];
+  return { files, rows, downloads };
+}
 
-  const contributorsSet = new Set(
-    response.repository.defaultBranchRef.target.history.nodes
-      .filter((node) => node.author.user)
-      .map((node) => node.author.user.login)
+function getFormat() {
+  const format = (core.getInput("format") || "json").toLowerCase();
+  if (!formatNames.includes(format)) {
+    throw new Error(
+      `Unsupported format '${format}'. Please choose one of ${formatNames
+        .map((name) => `"${name}"`)
+        .join(", ")}.`
+    );
+  }
+  return format;
+}
+
+// The columns of the stats file written by the chosen collectors
+function getStatsColumns() {
+  return ["date", ...listCollectorColumns(getCollectors()), "provisional"];
+}
+
+function getTimeZone() {
+  const timeZone = core.getInput("timezone") || "UTC";
+  try {
+    toDateStringInTimeZone(new Date(), timeZone);
+  } catch (error) {
+    throw new Error(
+      `Invalid timezone '${timeZone}', expected a time zone such as 'Europe/Berlin': ${error.message}`
+    );
+  }
+  return timeZone;
+}
+
+// Rows before this date are moved to the archive files, when a retention is set
+function getRetentionCutoff(endDate) {
+  const days = getNumberInput("retention-days", 0);
+  return days > 0 ? addDays(endDate, 1 - days) : null;
+}
+
+function getArchiveName(year) {
+  return path.join("archive", String(year));
+}
+
+// Adds the rows of the archive files to the stats file, so the whole
+// history is at hand when filling in days and computing the rollups
+function addArchivedRows(insightsFile, archiveContents) {
+  if (archiveContents.length === 0) {
+    return insightsFile;
+  }
+  const format = getFormat();
+  const rows = upsertRows(
+    archiveContents.flatMap((content) => parseRows(content, format)),
+    parseRows(insightsFile, format)
+  );
+  return serializeRows(
+    rows,
+    listColumns(rows, getStatsColumns()),
+    format,
+    statsFamilies
   );
+}
+
+function getInsightsRoot() {
+  return path.join(core.getInput("directory") || "./.insights");
+}
+
+function getInsightsDirectory(owner, repo) {
+  return path.join(getInsightsRoot(), owner, repo);
+}
 
+function logResults(selectedCollectors, stats) {
+  for (const collector of selectedCollectors) {
+    for (const line of collector.log(stats)) {
+      console.log(line);
+    }
+  }
+}
+
+function setOutputs(selectedCollectors, stats) {
+  for (const column of listCollectorColumns(selectedCollectors)) {
+    core.setOutput(column, stats[column]);
+  }
+  if ("release_downloads" in stats) {
+    core.setOutput("release_downloads", stats.release_downloads);
+    core.setOutput("release_downloads_total", stats.release_downloads_total);
+  }
+
+  // Period aggregates, e.g. views_7d and stars_delta_28d
+  for (const [name, value] of Object.entries(stats)) {
+    if (/_\d+d$/.test(name)) {
+      core.setOutput(name, value);
+    }
+  }
+}
+
+// How the repository's files are stored, or null when nothing is stored yet
+async function getStoredSchema({ store, ref, dirPath }) {
+  const schemaPath = path.join(dirPath, SCHEMA_FILE);
+  let schema;
+  try {
+    schema = parseSchema(await store.readFile({ ref, filePath: schemaPath }));
+  } catch (error) {
+    throw new Error(
+      `Unable to read '${schemaPath}' on ${store.location}: ${error.message}`
+    );
+  }
+  if (schema) {
+    return schema;
+  }
+
+  // Files written before the schema was recorded
+  const format = getFormat();
+  for (const storedFormat of [
+    format,
+    ...formatNames.filter((name) => name !== format),
+  ]) {
+    const filePath = path.join(dirPath, `stats.${storedFormat}`);
+    if ((await store.readFile({ ref, filePath })) !== null) {
+      return { format: storedFormat, archives: [] };
+    }
+  }
+  return null;
+}
+
+// Reads one of the repository's files in the configured format. A file
+// stored in another format is converted, and its path returned as replaced.
+async function readFormattedFile({ store, ref, dirPath, name, storedFormat }) {
+  const format = getFormat();
+  const filePath = path.join(dirPath, `${name}.${format}`);
+  const encoding = getFileEncoding(format);
+  await loadFormat(format);
+  if (!storedFormat || storedFormat === format) {
+    return { content: await store.readFile({ ref, filePath, encoding }) };
+  }
+
+  const storedPath = path.join(dirPath, `${name}.${storedFormat}`);
+  await loadFormat(storedFormat);
+  const storedContent = await store.readFile({
+    ref,
+    filePath: storedPath,
+    encoding: getFileEncoding(storedFormat),
+  });
+  if (storedContent === null) {
+    return { content: await store.readFile({ ref, filePath, encoding }) };
+  }
+  console.log(`Converting '${storedPath}' to the ${format} format.`);
+  try {
+    const storedRows = parseRows(storedContent, storedFormat);
+    const rows =
+      storedFormat === "csv" ? restoreCsvTypes(storedRows) : storedRows;
+    return {
+      content: serializeRows(rows, listColumns(rows, ["date"]), format),
+      replacedPath: storedPath,
+    };
+  } catch (error) {
+    throw new Error(`Unable to convert '${storedPath}': ${error.message}`);
+  }
+}
+
+function getInsightsFile({ existingContent, filePath, location }) {
+  const format = getFormat();
+
+  if (existingContent === null) {
+    // If file doesn't exist, create an empty file
+    console.log(`File '${filePath}' not found. Creating a new file.`);
+    return serializeRows([], getStatsColumns(), format, statsFamilies);
+  }
+
+  // Never start over from a file that exists but can't be read, as the
+  // commit would replace its history
+  const { rows, columns, problems } = checkRows(
+    existingContent,
+    format,
+    getStatsColumns()
+  );
+  if (problems.length > 0) {
+    const details = problems.slice(0, 5).join("; ");
+    const more =
+      problems.length > 5 ? ` (and ${problems.length - 5} more)` : "";
+    if (!getBooleanInput("repair")) {
+      throw new Error(
+        `File '${filePath}' on ${location} is corrupt: ${details}${more}. ` +
+          "Fix the file, or set 'repair' to 'true' to keep only its valid rows."
+      );
+    }
+    console.log(
+      `Repairing '${filePath}', keeping ${rows.length} valid rows and dropping: ${details}${more}`
+    );
+    return serializeRows(
+      rows,
+      listColumns(rows, getStatsColumns()),
+      format,
+      statsFamilies
+    );
+  }
+
+  // Columns that were added since the file was started get blank values, and
+  // columns that were removed keep the values recorded before
+  const expectedColumns = listColumns([], [...getStatsColumns(), ...columns]);
+  if (format === "csv" && columns.join(",") !== expectedColumns.join(",")) {
+    console.log(`Updating the columns of '${filePath}'.`);
+    return serializeRows(rows, expectedColumns, format);
+  }
+
+  return existingContent;
+}
+
+// Reads the files on the insights branch, and commits them through the git
+// data API or the contents API
+function createBranchStore({ octokit, repository, branch, author, method }) {
+  const { owner, repo } = repository;
+  const withAccessErrors = (promise) =>
+    promise.catch((error) => {
+      throw describeStorageAccessError(error, repository) || error;
+    });
   return {
-    stargazerCount,
-    commitCount,
-    contributorsCount: contributorsSet.size,
+    location: `branch '${branch}' of ${owner}/${repo}`,
+    prepare: () =>
+      withAccessErrors(ensureBranchExists({ octokit, repository, branch })),
+    readFile: ({ ref, filePath, encoding }) =>
+      readFileFromBranch({
+        octokit,
+        repository,
+        branch,
+        ref,
+        filePath,
+        encoding,
+      }),
+    commit: (generateChanges) =>
+      withAccessErrors(
+        commitFileToBranch({
+          octokit,
+          repository,
+          branch,
+          author,
+          method,
+          generateChanges,
+        })
+      ),
   };
 }
 
-function logResults({
-  stargazerCount,
-  commitCount,
-  contributorsCount,
-  yesterdayTraffic,
-  yesterdayClones,
-}) {
-  console.log(`Total Stargazers: ${stargazerCount}`);
-  console.log(`Total Commits: ${commitCount}`);
-  console.log(`Total Contributors: ${contributorsCount}`);
-  console.log(`Total Views Yesterday: ${yesterdayTraffic.count}`);
-  console.log(`Total Unique Views Yesterday: ${yesterdayTraffic.uniques}`);
-  console.log(`Total Clones Yesterday: ${yesterdayClones.count}`);
-  console.log(`Total Unique Clones Yesterday: ${yesterdayClones.uniques}`);
-}
-
-function setOutputs({
-  stargazerCount,
-  commitCount,
-  contributorsCount,
-  yesterdayTraffic,
-  yesterdayClones,
+// The API only says that a resource isn't accessible, or not found for
+// private repositories, so name the repository and what the token needs
+function describeStorageAccessError(error, { owner, repo }) {
+  const message = describeAccessError(error, `${owner}/${repo}`);
+  return (
+    message &&
+    new Error(
+      `${message} The insights are stored there, which takes the Contents: Read and write permission. ` +
+        "Set 'storage-token' to store them with another token than the one collecting them."
+    )
+  );
+}
+
+// Returns the decoded file from the insights branch, or null if it doesn't exist.
+// Reads the file at a specific commit of the branch when a ref is given, and
+// returns the content of binary files as base64.
+async function readFileFromBranch({
+  octokit,
+  repository,
+  branch,
+  ref,
+  filePath,
+  encoding = "utf-8",
 }) {
-  core.setOutput("stargazers", stargazerCount);
-  core.setOutput("commits", commitCount);
-  core.setOutput("contributors", contributorsCount);
-  core.setOutput("traffic_views", yesterdayTraffic.count);
-  core.setOutput("traffic_uniques", yesterdayTraffic.uniques);
-  core.setOutput("clones_count", yesterdayClones.count);
-  core.setOutput("clones_uniques", yesterdayClones.uniques);
-}
-
-async function getInsightsFile({ octokit, branch }) {
-  let format = core.getInput("format") || "json"; // 'json' or 'csv'
-  format = format.toLowerCase();
-  const rootDir = core.getInput("directory");
-  const file_path_owner = core.getInput("owner");
-  const file_path_repo = core.getInput("repository");
-  const { owner, repo } = github.context.repo;
-  const dirPath = path.join(rootDir, file_path_owner, file_path_repo);
-  const filePath = path.join(dirPath, `stats.${format}`);
-
-  let insightsFile, insightsCount;
+  const decode = (content) =>
+    encoding === "base64" ? content.replace(/\s/g, "") : Base64.decode(content);
+  const { owner, repo } = repository;
 
   try {
-    // Check if the file exists in the repository
     const { data: fileData } = await octokit.rest.repos.getContent({
       owner,
       repo,
       path: filePath,
-      ref: branch,
+      ref: ref || branch,
     });
-    const existingContent = Base64.decode(fileData.content);
-
-    if (format === "json") {
-      insightsFile = existingContent;
-      insightsCount = JSON.parse(existingContent).length;
-    } else if (format === "csv") {
-      const csvLines = existingContent
-        .split("\n")
-        .filter((line) => line.trim() !== "");
-      insightsFile = csvLines.join("\n");
-      insightsCount = csvLines.length - 1; // Subtract header line
-    } else {
-      throw new Error(
-        'Unsupported format. Please choose either "json" or "csv".'
-      );
+    if (fileData.content || !fileData.size) {
+      return decode(fileData.content || "");
     }
+
+    // Files over 1 MB are returned without content, read them as a blob instead
+    const { data: blobData } = await octokit.rest.git.getBlob({
+      owner,
+      repo,
+      file_sha: fileData.sha,
+    });
+    return decode(blobData.content);
   } catch (error) {
-    // If file doesn't exist, create an empty file
-    console.log(error);
-    console.log("Error finding file. Creating a new file.");
-    if (format === "json") {
-      insightsFile = JSON.stringify([], null, 2);
-    } else if (format === "csv") {
-      const csvHeaders = [
-        "date",
-        "stargazers",
-        "commits",
-        "contributors",
-        "traffic_views",
-        "traffic_uniques",
-        "clones_count",
-        "clones_uniques",
-      ];
-      insightsFile = `${csvHeaders.join(",")}\n`;
-    } else {
-      throw new Error(
-        'Unsupported format. Please choose either "json" or "csv".'
-      );
+    if (error.status === 404) {
+      return null;
     }
-    insightsCount = 0;
+    const accessError = describeStorageAccessError(error, repository);
+    if (accessError) {
+      throw accessError;
+    }
+    throw new Error(
+      `Unable to read '${filePath}' from branch '${branch}'` +
+        (error.status ? ` (HTTP ${error.status})` : "") +
+        `: ${error.message}`
+    );
   }
-  return [insightsFile, insightsCount];
 }
 
-async function generateFileContent({
-  insightsFile,
-  stargazerCount,
-  commitCount,
-  contributorsCount,
-  yesterdayTraffic,
-  yesterdayClones,
-  yesterdayDateString,
-}) {
-  let format = core.getInput("format") || "json"; // 'json' or 'csv'
-  format = format.toLowerCase();
-
-  const newEntry = {
-    date: yesterdayDateString,
-    stargazers: stargazerCount,
-    commits: commitCount,
-    contributors: contributorsCount,
-    traffic_views: yesterdayTraffic.count,
-    traffic_uniques: yesterdayTraffic.uniques,
-    clones_count: yesterdayClones.count,
-    clones_uniques: yesterdayClones.uniques,
-  };
-
-  let fileContent;
-
-  try {
-    if (format === "json") {
-      let existingData = JSON.parse(insightsFile);
+function getRecordedDates(insightsFile) {
+  return new Set(parseRows(insightsFile, getFormat()).map((row) => row.date));
+}
 
-      // Check if an entry for today already exists
-      const existingEntryIndex = existingData.findIndex(
-        (entry) => entry.date === newEntry.date
-      );
+// Days recorded before they were over in UTC, which are recorded again
+function getProvisionalDates(insightsFile) {
+  return new Set(
+    parseRows(insightsFile, getFormat())
+      .filter((row) => String(row.provisional) === "true")
+      .map((row) => row.date)
+  );
+}
 
-      if (existingEntryIndex !== -1) {
-        // Update the existing entry
-        existingData[existingEntryIndex] = newEntry;
-      } else {
-        // Add the new entry
-        existingData.push(newEntry);
-      }
+// Marks a day that is missing and can no longer be fetched from the traffic API
+function buildUnavailableEntry(dateString) {
+  return {
+    ...Object.fromEntries(
+      getStatsColumns().map((column) => [column, UNAVAILABLE])
+    ),
+    date: dateString,
+    provisional: false,
+  };
+}
 
-      fileContent = JSON.stringify(existingData, null, 2);
-    } else if (format === "csv") {
-      const csvHeaders = [
-        "date",
-        "stargazers",
-        "commits",
-        "contributors",
-        "traffic_views",
-        "traffic_uniques",
-        "clones_count",
-        "clones_uniques",
-      ];
-      const csvLines = insightsFile
-        .split("\n")
-        .filter((line) => line.trim() !== "");
-
-      // Check if an entry for today already exists
-      const existingEntryIndex = csvLines.findIndex((line) =>
-        line.startsWith(newEntry.date)
-      );
+// Takes the flow columns of a provisional day that is recorded again, which
+// are final now, and keeps its stock columns, as those can only be collected
+// for the day they were recorded on
+function mergeProvisionalEntry(row, entry) {
+  return {
+    ...row,
+    ...Object.fromEntries(
+      [...flowColumns, "provisional"]
+        .filter((column) => column in entry)
+        .map((column) => [column, entry[column]])
+    ),
+  };
+}
 
-      const csvLine = csvHeaders.map((header) => newEntry[header]).join(",");
+// Sets the rebuilt stargazers and commits on every date before the end date,
+// keeping whatever else was recorded on it
+function buildHistoryEntries({ insightsFile, cumulativeHistory, endDate }) {
+  if (
+    !cumulativeHistory ||
+    !cumulativeHistory.complete ||
+    !cumulativeHistory.firstDate
+  ) {
+    return [];
+  }
+  const rowsByDate = new Map(
+    parseRows(insightsFile, getFormat()).map((row) => [row.date, row])
+  );
+  return listDates(cumulativeHistory.firstDate, addDays(endDate, -1)).map(
+    (date) => ({
+      ...(rowsByDate.get(date) || buildUnavailableEntry(date)),
+      stargazers: cumulativeHistory.stargazersOn(date),
+      commits: cumulativeHistory.commitsOn(date),
+    })
+  );
+}
 
-      if (existingEntryIndex !== -1) {
-        // Update the existing entry
-        csvLines[existingEntryIndex] = csvLine;
-      } else {
-        // Add the new entry
-        csvLines.push(csvLine);
-      }
+// Replaces the rows of the entries' dates, or adds them, keeping the file
+// sorted by date
+async function generateFileContent({ insightsFile, entries }) {
+  const format = getFormat();
 
-      fileContent = csvLines.join("\n");
-    }
+  try {
+    const rows = upsertRows(parseRows(insightsFile, format), entries);
+    return serializeRows(
+      rows,
+      listColumns(rows, getStatsColumns()),
+      format,
+      statsFamilies
+    );
   } catch (error) {
     throw new Error(`Unable to generate file content: ${error.message}`);
   }
-  return fileContent;
 }
 
-async function ensureBranchExists({ octokit, branch }) {
-  const { owner, repo } = github.context.repo;
+async function ensureBranchExists({ octokit, repository, branch }) {
+  const { owner, repo } = repository;
 
   try {
     // Check if the branch exists
@@ -363,75 +988,84 @@ async function ensureBranchExists({ octokit, branch }) {
       ref: `heads/${branch}`,
     });
     // Branch exists, no action needed
+    return;
   } catch (error) {
-    if (error.status === 404) {
-      // Branch does not exist, create it
-      const { data: refData } = await octokit.rest.git.getRef({
-        owner,
-        repo,
-        ref: "heads/main", // Base branch from which to create the new branch
-      });
-
-      const mainSha = refData.object.sha;
+    if (error.status !== 404) {
+      throw (
+        describeStorageAccessError(error, repository) ||
+        new Error(`Error checking if branch exists: ${error.message}`)
+      );
+    }
+  }
 
-      await octokit.rest.git.createRef({
-        owner,
-        repo,
-        ref: `refs/heads/${branch}`,
-        sha: mainSha,
-      });
+  // Branch does not exist, create it
+  let sha, origin;
+  if (getBooleanInput("orphan")) {
+    sha = await createOrphanCommit({ octokit, repository });
+    origin = "as an orphan branch";
+  } else {
+    const baseBranch = await getBaseBranch({ octokit, repository });
+    const { data: refData } = await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${baseBranch}`,
+    });
+    sha = refData.object.sha;
+    origin = `from '${baseBranch}'`;
+  }
 
-      console.log(`Branch '${branch}' created from 'main'.`);
-    } else {
-      throw new Error(`Error checking if branch exists: ${error.message}`);
+  try {
+    await octokit.rest.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${branch}`,
+      sha,
+    });
+    console.log(`Branch '${branch}' created ${origin}.`);
+  } catch (error) {
+    // Another job may have created the branch in the meantime
+    if (error.status !== 422) {
+      throw (
+        describeStorageAccessError(error, repository) ||
+        new Error(`Error creating branch '${branch}': ${error.message}`)
+      );
     }
+    console.log(`Branch '${branch}' was created by another job.`);
   }
 }
 
-async function commitFileToBranch({ octokit, branch, fileContent }) {
-  let format = core.getInput("format") || "json"; // 'json' or 'csv'
-  format = format.toLowerCase();
-  const rootDir = core.getInput("directory") || "./data";
-  const { owner, repo } = github.context.repo;
-  const file_path_owner = core.getInput("owner");
-  const file_path_repo = core.getInput("repository");
-  const dirPath = path.join(rootDir, file_path_owner, file_path_repo);
-  const filePath = path.join(dirPath, `stats.${format}`);
-
-  // Get the SHA of the branch reference
-  const { data: refData } = await octokit.rest.git.getRef({
-    owner,
-    repo,
-    ref: `heads/${branch}`,
-  });
-
-  const commitSha = refData.object.sha;
+// The branch to create the insights branch from, defaulting to the
+// repository's default branch
+async function getBaseBranch({ octokit, repository }) {
+  const baseBranch = core.getInput("base-branch");
+  if (baseBranch) {
+    return baseBranch;
+  }
 
-  // Get the tree associated with the latest commit
-  const { data: commitData } = await octokit.rest.git.getCommit({
-    owner,
-    repo,
-    commit_sha: commitSha,
-  });
+  const { owner, repo } = repository;
+  const { data: repoData } = await octokit.rest.repos.get({ owner, repo });
+  return repoData.default_branch;
+}
 
-  const treeSha = commitData.tree.sha;
+// Creates a root commit holding only the insights directory, so the insights
+// branch doesn't carry a copy of the source tree
+async function createOrphanCommit({ octokit, repository }) {
+  const { owner, repo } = repository;
 
-  // Create a new blob with the file content
   const { data: blobData } = await octokit.rest.git.createBlob({
     owner,
     repo,
-    content: fileContent,
+    content:
+      "# Repository insights\n\nThis branch holds the insights collected by the Repository Insight Tracker action.\n",
     encoding: "utf-8",
   });
 
-  // Create a new tree that adds the new file
-  const { data: newTreeData } = await octokit.rest.git.createTree({
+  const { data: treeData } = await octokit.rest.git.createTree({
     owner,
     repo,
-    base_tree: treeSha,
     tree: [
       {
-        path: filePath,
+        path: path.join(getInsightsRoot(), "README.md"),
         mode: "100644",
         type: "blob",
         sha: blobData.sha,
@@ -439,22 +1073,261 @@ async function commitFileToBranch({ octokit, branch, fileContent }) {
     ],
   });
 
+  const { data: commitData } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message: "Create insights branch",
+    tree: treeData.sha,
+    parents: [],
+  });
+
+  return commitData.sha;
+}
+
+// The SHA of a file on the branch, or undefined when it doesn't exist
+async function getFileSha({ octokit, repository, branch, filePath }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      ...repository,
+      path: filePath,
+      ref: branch,
+    });
+    return data.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+function isRefConflict(error) {
+  return (
+    error.status === 409 ||
+    (error.status === 422 && /fast.forward/i.test(error.message))
+  );
+}
+
+// Commits the generated files on top of the branch head, and returns the SHA
+// of the new commit, or null when nothing changed. If another job moves the
+// branch in the meantime, the files are generated again on top of the new
+// head, so neither job's changes are lost.
+async function commitFileToBranch({
+  octokit,
+  repository,
+  branch,
+  author,
+  method,
+  generateChanges,
+}) {
+  const { owner, repo } = repository;
+  const retries = getNumberInput("commit-retries", 5);
+
+  for (let attempt = 0; ; attempt++) {
+    // Get the SHA of the branch reference
+    const { data: refData } = await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+    });
+
+    const commitSha = refData.object.sha;
+
+    const { files, message } = await generateChanges(commitSha);
+    if (files.length === 0) {
+      console.log("No files to commit.");
+      return null;
+    }
+
+    // Get the tree associated with the latest commit
+    const { data: commitData } = await octokit.rest.git.getCommit({
+      owner,
+      repo,
+      commit_sha: commitSha,
+    });
+
+    const treeSha = commitData.tree.sha;
+
+    // Files that are the same as on the branch, e.g. when the workflow runs
+    // again on the same day, don't make a commit
+    const blobShas = await getBlobShas({ octokit, repository, treeSha });
+    const changedFiles = listChangedFiles(files, blobShas);
+    if (changedFiles.length === 0) {
+      console.log("No changes to commit.");
+      return null;
+    }
+
+    try {
+      return method === "contents"
+        ? await commitWithContentsApi({
+            octokit,
+            repository,
+            branch,
+            author,
+            message,
+            files: changedFiles,
+            blobShas,
+          })
+        : await commitWithGitDataApi({
+            octokit,
+            repository,
+            branch,
+            author,
+            message,
+            files: changedFiles,
+            commitSha,
+            treeSha,
+          });
+    } catch (error) {
+      if (!isRefConflict(error)) {
+        throw error;
+      }
+      if (attempt >= retries) {
+        throw new Error(
+          `Unable to update branch '${branch}' after ${retries} retries, as it kept being updated by other jobs. ` +
+            "Increase 'commit-retries', or run fewer jobs against the branch at the same time."
+        );
+      }
+
+      // Exponential backoff with full jitter, so competing jobs spread out
+      const delay = Math.round(Math.random() * 1000 * 2 ** attempt);
+      console.log(
+        `Branch '${branch}' was updated by another job, retrying in ${delay} ms.`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+// The SHAs of the blobs in the tree by path, or null when the tree is too
+// large to be listed in one go
+async function getBlobShas({ octokit, repository, treeSha }) {
+  const { data } = await octokit.rest.git.getTree({
+    ...repository,
+    tree_sha: treeSha,
+    recursive: "true",
+  });
+  if (data.truncated) {
+    return null;
+  }
+  return new Map(
+    data.tree
+      .filter(({ type }) => type === "blob")
+      .map(({ path: filePath, sha }) => [filePath, sha])
+  );
+}
+
+// Creates a single commit with all files through the git data API
+async function commitWithGitDataApi({
+  octokit,
+  repository,
+  branch,
+  author,
+  message,
+  files,
+  commitSha,
+  treeSha,
+}) {
+  const { owner, repo } = repository;
+
+  // Create a new blob for each file, and remove files without content
+  const tree = [];
+  for (const file of files) {
+    if (file.content === null) {
+      tree.push({ path: file.path, mode: "100644", type: "blob", sha: null });
+      continue;
+    }
+    const { data: blobData } = await octokit.rest.git.createBlob({
+      owner,
+      repo,
+      content: file.content,
+      encoding: file.encoding || "utf-8",
+    });
+    tree.push({
+      path: file.path,
+      mode: "100644",
+      type: "blob",
+      sha: blobData.sha,
+    });
+  }
+
+  // Create a new tree that adds the new files
+  const { data: newTreeData } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: treeSha,
+    tree,
+  });
+
   // Create a new commit
   const { data: newCommitData } = await octokit.rest.git.createCommit({
     owner,
     repo,
-    message: `Update stats file for ${file_path_owner}/${file_path_repo}`,
+    message,
     tree: newTreeData.sha,
     parents: [commitSha],
+    ...(author && { author }),
   });
 
-  // Update the branch reference to point to the new commit
+  // Update the branch reference to point to the new commit, which only
+  // succeeds if the branch still points to the parent commit
   await octokit.rest.git.updateRef({
     owner,
     repo,
     ref: `heads/${branch}`,
     sha: newCommitData.sha,
+    force: false,
   });
+  return newCommitData.sha;
+}
+
+// Commits the files one by one through the contents API, for tokens that may
+// only use that. Every file is a commit of its own, which fails when the
+// file changed on the branch since its SHA was read.
+async function commitWithContentsApi({
+  octokit,
+  repository,
+  branch,
+  author,
+  message,
+  files,
+  blobShas,
+}) {
+  const { owner, repo } = repository;
+  const identity = author ? { author, committer: author } : {};
+
+  let newCommitSha = null;
+  for (const file of files) {
+    const sha = blobShas
+      ? blobShas.get(file.path)
+      : await getFileSha({ octokit, repository, branch, filePath: file.path });
+    const { data } =
+      file.content === null
+        ? await octokit.rest.repos.deleteFile({
+            owner,
+            repo,
+            path: file.path,
+            message,
+            sha,
+            branch,
+            ...identity,
+          })
+        : await octokit.rest.repos.createOrUpdateFileContents({
+            owner,
+            repo,
+            path: file.path,
+            message,
+            content:
+              file.encoding === "base64"
+                ? file.content
+                : Buffer.from(file.content, "utf-8").toString("base64"),
+            ...(sha && { sha }),
+            branch,
+            ...identity,
+          });
+    newCommitSha = data.commit.sha;
+  }
+  return newCommitSha;
 }
 
 module.exports = {
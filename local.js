@@ -0,0 +1,131 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Reads and writes the insights files in a local directory instead of the
+// insights branch, e.g. to backfill or debug a repository from the CLI
+function createDirectoryStore(directory) {
+  return {
+    location: `directory '${directory}'`,
+    prepare: () => fs.mkdir(directory, { recursive: true }),
+    readFile: async ({ filePath, encoding = "utf-8" }) => {
+      try {
+        return await fs.readFile(path.join(directory, filePath), encoding);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw new Error(
+          `Unable to read '${filePath}' from directory '${directory}': ${error.message}`
+        );
+      }
+    },
+    commit: async (generateChanges) => {
+      const { files } = await generateChanges(null);
+      if (files.length === 0) {
+        console.log("No files to write.");
+        return;
+      }
+      for (const file of files) {
+        const filePath = path.join(directory, file.path);
+        if (file.content === null) {
+          await fs.rm(filePath, { force: true });
+          continue;
+        }
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content, file.encoding || "utf-8");
+      }
+      console.log(`Wrote ${files.length} files to '${directory}'.`);
+    },
+  };
+}
+
+// Reads the files from another store, and prints what would change in them
+// instead of writing anything
+function createDryRunStore(store) {
+  return {
+    location: store.location,
+    prepare: async () => {},
+    readFile: store.readFile,
+    commit: async (generateChanges) => {
+      const { files, message } = await generateChanges(null);
+      console.log(`Dry run, nothing is written to ${store.location}.`);
+      console.log(`Changes for "${message}":`);
+      for (const file of files) {
+        const previous = await store.readFile({
+          filePath: file.path,
+          encoding: file.encoding,
+        });
+        console.log(
+          file.encoding === "base64"
+            ? formatBinaryChange({
+                filePath: file.path,
+                previous,
+                content: file.content,
+              })
+            : formatDiff({
+                filePath: file.path,
+                previous,
+                content: file.content,
+              })
+        );
+      }
+    },
+  };
+}
+
+// A unified diff with a single hunk, spanning from the first to the last
+// changed line. Missing files are null.
+function formatDiff({ filePath, previous, content }) {
+  const before = previous === null ? [] : previous.split("\n");
+  const after = content === null ? [] : content.split("\n");
+
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const removed = before.slice(start, before.length - end);
+  const added = after.slice(start, after.length - end);
+  if (removed.length === 0 && added.length === 0) {
+    return `${filePath}: unchanged`;
+  }
+  return [
+    `--- ${previous === null ? "/dev/null" : `a/${filePath}`}`,
+    `+++ ${content === null ? "/dev/null" : `b/${filePath}`}`,
+    `@@ -${start + 1},${removed.length} +${start + 1},${added.length} @@`,
+    ...removed.map((line) => `-${line}`),
+    ...added.map((line) => `+${line}`),
+  ].join("\n");
+}
+
+// Binary files, given as base64, are only reported as changed
+function formatBinaryChange({ filePath, previous, content }) {
+  if (previous === content) {
+    return `${filePath}: unchanged`;
+  }
+  if (content === null) {
+    return `${filePath}: removed`;
+  }
+  const size = Buffer.from(content, "base64").length;
+  return `${filePath}: ${
+    previous === null ? "created" : "changed"
+  }, ${size} bytes`;
+}
+
+module.exports = {
+  createDirectoryStore,
+  createDryRunStore,
+  formatDiff,
+};
@@ -0,0 +1,104 @@
+const { getCollectors } = require("./collectors");
+const { addDays, listDates } = require("./dates");
+
+// The metrics of the collectors chosen with the metrics input, one for every
+// column they fill
+function getMetrics() {
+  return getCollectors().flatMap(({ columns }) => columns);
+}
+
+// Unavailable or blank values are missing, and become gaps in a chart
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function sum(values) {
+  const numbers = values.filter((value) => value !== null);
+  return numbers.length ? numbers.reduce((a, b) => a + b, 0) : null;
+}
+
+function difference(current, previous) {
+  return current === null || previous === null ? null : current - previous;
+}
+
+// Rows and end date without the provisional days, which only cover part of a
+// UTC day until they are recorded again. The end date moves back to the last
+// day that is complete.
+function getCompleteRows(rows, endDate) {
+  const isProvisional = (row) => String(row.provisional) === "true";
+  const provisionalDates = new Set(
+    rows.filter(isProvisional).map(({ date }) => date)
+  );
+  let completeDate = endDate;
+  while (provisionalDates.has(completeDate)) {
+    completeDate = addDays(completeDate, -1);
+  }
+  return {
+    rows: rows.filter((row) => !isProvisional(row)),
+    endDate: completeDate,
+  };
+}
+
+// Looks up metric values in the stored rows. Unavailable days count as
+// missing, and stock metrics keep their last known value on those days.
+function createHistory(rows) {
+  const valuesByDate = new Map(rows.map((row) => [row.date, row]));
+  const sortedDates = [...valuesByDate.keys()].sort();
+
+  const dailyValue = (column, date) =>
+    valuesByDate.has(date) ? toNumber(valuesByDate.get(date)[column]) : null;
+
+  const stockValue = (column, date) => {
+    const candidates = sortedDates.filter((candidate) => candidate <= date);
+    for (const candidate of candidates.reverse()) {
+      const value = dailyValue(column, candidate);
+      if (value !== null) {
+        return value;
+      }
+    }
+    return null;
+  };
+
+  return {
+    firstDate: sortedDates[0] || null,
+    dailyValue,
+    // The value of a metric on a day, as shown in a time series
+    valueOn: ({ column, kind }, date) =>
+      kind === "stock" ? stockValue(column, date) : dailyValue(column, date),
+    // The stock at the end of the range, or the total over the range
+    valueOver: ({ column, kind }, start, end) =>
+      kind === "stock"
+        ? stockValue(column, end)
+        : sum(listDates(start, end).map((date) => dailyValue(column, date))),
+    // The change of a stock over the range, or the total over the range
+    // minus the total over the range of the same length before it
+    changeOver: ({ column, kind }, start, end) => {
+      if (kind === "stock") {
+        return difference(
+          stockValue(column, end),
+          stockValue(column, addDays(start, -1))
+        );
+      }
+      const days = listDates(start, end).length;
+      return difference(
+        sum(listDates(start, end).map((date) => dailyValue(column, date))),
+        sum(
+          listDates(addDays(start, -days), addDays(start, -1)).map((date) =>
+            dailyValue(column, date)
+          )
+        )
+      );
+    },
+  };
+}
+
+module.exports = {
+  createHistory,
+  getCompleteRows,
+  getMetrics,
+  toNumber,
+};
@@ -0,0 +1,30 @@
+const referrerColumns = ["date", "referrer", "count", "uniques"];
+const pathColumns = ["date", "path", "title", "count", "uniques"];
+
+// Both endpoints return the top 10 entries over the last 14 days
+async function getPopularContent(octokit, owner, repo) {
+  const [{ data: referrersData }, { data: pathsData }] = await Promise.all([
+    octokit.rest.repos.getTopReferrers({ owner, repo }),
+    octokit.rest.repos.getTopPaths({ owner, repo }),
+  ]);
+
+  return {
+    referrers: referrersData.map(({ referrer, count, uniques }) => ({
+      referrer,
+      count,
+      uniques,
+    })),
+    paths: pathsData.map(({ path, title, count, uniques }) => ({
+      path,
+      title,
+      count,
+      uniques,
+    })),
+  };
+}
+
+module.exports = {
+  getPopularContent,
+  pathColumns,
+  referrerColumns,
+};
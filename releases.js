@@ -0,0 +1,62 @@
+const { parseRows } = require("./storage");
+
+const releaseColumns = ["date", "release", "asset", "download_count"];
+
+// Download counts are only exposed as the running total per release asset
+async function getReleaseAssets(octokit, owner, repo) {
+  const releases = await octokit.paginate(octokit.rest.repos.listReleases, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+
+  return releases.flatMap((release) =>
+    release.assets.map((asset) => ({
+      release: release.tag_name,
+      asset: asset.name,
+      download_count: asset.download_count,
+    }))
+  );
+}
+
+function sumDownloads(rows) {
+  return rows.reduce((sum, row) => sum + Number(row.download_count || 0), 0);
+}
+
+// The downloads on a date are how much every asset's count grew since the
+// previous recorded date, where assets published in between count in full
+function computeReleaseDownloads(content, format, dateString) {
+  const rows = parseRows(content, format);
+  const current = rows.filter((row) => row.date === dateString);
+  const previousDate = rows
+    .map((row) => row.date)
+    .filter((date) => date < dateString)
+    .sort()
+    .pop();
+  if (!previousDate) {
+    return { daily: null, total: sumDownloads(current) };
+  }
+
+  const previousCounts = new Map(
+    rows
+      .filter((row) => row.date === previousDate)
+      .map((row) => [`${row.release}/${row.asset}`, sumDownloads([row])])
+  );
+  const daily = current.reduce(
+    (sum, row) =>
+      sum +
+      Math.max(
+        0,
+        sumDownloads([row]) -
+          (previousCounts.get(`${row.release}/${row.asset}`) || 0)
+      ),
+    0
+  );
+  return { daily, total: sumDownloads(current) };
+}
+
+module.exports = {
+  computeReleaseDownloads,
+  getReleaseAssets,
+  releaseColumns,
+};
@@ -0,0 +1,132 @@
+const core = require("@actions/core");
+const github = require("@actions/github");
+const { getBooleanInput, getListInput } = require("./inputs");
+
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+function parseRepositoryPattern(pattern) {
+  const [owner, name, ...rest] = pattern.split("/");
+  if (!owner || !name || rest.length > 0) {
+    throw new Error(
+      `Invalid repository '${pattern}'. Expected the form 'owner/repository' or 'owner/*'.`
+    );
+  }
+  if (/[*?]/.test(owner)) {
+    throw new Error(
+      `Invalid repository '${pattern}'. Wildcards are only supported in the repository name.`
+    );
+  }
+  return { owner, name, isGlob: /[*?]/.test(name) };
+}
+
+async function listOwnerRepositories(octokit, owner) {
+  try {
+    return await octokit.paginate(octokit.rest.repos.listForOrg, {
+      org: owner,
+      type: "all",
+      per_page: 100,
+    });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw new Error(
+        `Unable to list repositories for '${owner}': ${error.message}`
+      );
+    }
+    // Not an organization, fall back to the user's repositories
+    return await octokit.paginate(octokit.rest.repos.listForUser, {
+      username: owner,
+      type: "owner",
+      per_page: 100,
+    });
+  }
+}
+
+function getRepositoryPatterns() {
+  const patterns = getListInput("repositories");
+  if (patterns.length > 0) {
+    return patterns;
+  }
+
+  // Fall back to the single owner/repository inputs
+  const owner = core.getInput("owner");
+  const repository = core.getInput("repository");
+  return [repository.includes("/") ? repository : `${owner}/${repository}`];
+}
+
+async function resolveRepositories(octokit) {
+  const patterns = getRepositoryPatterns();
+
+  const includeArchived = getBooleanInput("include-archived");
+  const includeForks = getBooleanInput("include-forks");
+  const listings = {};
+  const repositories = new Map();
+
+  for (const pattern of patterns) {
+    const { owner, name, isGlob } = parseRepositoryPattern(pattern);
+
+    if (!isGlob) {
+      repositories.set(`${owner}/${name}`.toLowerCase(), { owner, repo: name });
+      continue;
+    }
+
+    if (!listings[owner]) {
+      listings[owner] = await listOwnerRepositories(octokit, owner);
+    }
+
+    const matcher = globToRegExp(name);
+    const matches = listings[owner].filter(
+      (candidate) =>
+        matcher.test(candidate.name) &&
+        (includeArchived || !candidate.archived) &&
+        (includeForks || !candidate.fork)
+    );
+    console.log(`Pattern '${pattern}' matched ${matches.length} repositories.`);
+
+    for (const match of matches) {
+      repositories.set(`${match.owner.login}/${match.name}`.toLowerCase(), {
+        owner: match.owner.login,
+        repo: match.name,
+      });
+    }
+  }
+
+  return [...repositories.values()];
+}
+
+// The repository holding the insights branch, which is the one running the
+// workflow unless another one is set
+function getStorageRepository() {
+  const owner = core.getInput("storage-owner");
+  const repository = core.getInput("storage-repository");
+  if (repository.includes("/")) {
+    const [storageOwner, repo] = repository.split("/");
+    return { owner: storageOwner, repo };
+  }
+  if (repository) {
+    return { owner: owner || github.context.repo.owner, repo: repository };
+  }
+  if (owner) {
+    throw new Error(
+      "Input 'storage-repository' is required with 'storage-owner'."
+    );
+  }
+  return github.context.repo;
+}
+
+module.exports = {
+  getRepositoryPatterns,
+  getStorageRepository,
+  globToRegExp,
+  parseRepositoryPattern,
+  resolveRepositories,
+};
@@ -0,0 +1,125 @@
+const { addDays, listDates, toDateString } = require("./dates");
+const { collectors } = require("./collectors");
+const { createHistory } = require("./metrics");
+const {
+  listColumns,
+  parseRows,
+  serializeRows,
+  upsertRows,
+} = require("./storage");
+
+// Every column of the stats file, with how it is rolled up over a period
+const rollupColumns = collectors.flatMap(({ columns }) => columns);
+
+const periodColumns = ["date", "period", "end", "days", "complete"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayOfWeek(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+// ISO 8601 weeks start on Monday, and belong to the year of their Thursday
+function isoWeekLabel(monday) {
+  const thursday = addDays(monday, 3);
+  const year = thursday.slice(0, 4);
+  const dayOfYear =
+    (Date.parse(`${thursday}T00:00:00Z`) -
+      Date.parse(`${year}-01-01T00:00:00Z`)) /
+    DAY_MS;
+  const week = Math.floor(dayOfYear / 7) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+// Every period starts on the date that identifies it in the rollup file
+const periods = {
+  weekly: {
+    start: (date) => addDays(date, -((dayOfWeek(date) + 6) % 7)),
+    end: (start) => addDays(start, 6),
+    label: isoWeekLabel,
+  },
+  monthly: {
+    start: (date) => `${date.slice(0, 7)}-01`,
+    end: (start) =>
+      toDateString(
+        new Date(
+          Date.UTC(Number(start.slice(0, 4)), Number(start.slice(5, 7)), 0)
+        )
+      ),
+    label: (start) => start.slice(0, 7),
+  },
+  yearly: {
+    start: (date) => `${date.slice(0, 4)}-01-01`,
+    end: (start) => `${start.slice(0, 4)}-12-31`,
+    label: (start) => start.slice(0, 4),
+  },
+};
+
+// Flow metrics are summed over the period, stock metrics take their value at
+// its end. A period is complete once its last day is recorded.
+function computePeriodRow({ period, start, history, recordedDates, lastDate }) {
+  const end = period.end(start);
+  const rangeEnd = end < lastDate ? end : lastDate;
+  return {
+    date: start,
+    period: period.label(start),
+    end,
+    days: listDates(start, rangeEnd).filter((date) => recordedDates.has(date))
+      .length,
+    complete: end <= lastDate,
+    ...Object.fromEntries(
+      rollupColumns.map((metric) => [
+        metric.column,
+        history.valueOver(metric, start, rangeEnd),
+      ])
+    ),
+  };
+}
+
+function readRollupRows(content, format, name) {
+  if (content === null) {
+    return null;
+  }
+  try {
+    return parseRows(content, format);
+  } catch (error) {
+    console.log(
+      `Rebuilding the ${name} rollup, as it can't be read: ${error.message}`
+    );
+    return null;
+  }
+}
+
+// Updates the periods that contain any of the changed dates in every rollup
+// file, or all periods of a rollup file that doesn't exist yet
+function generateRollupContents({ contents, rows, dates, format, families }) {
+  const history = createHistory(rows);
+  const recordedDates = new Set(rows.map((row) => row.date));
+  const lastDate = [...recordedDates].sort().pop();
+
+  return Object.fromEntries(
+    Object.entries(periods).map(([name, period]) => {
+      const existingRows = readRollupRows(contents[name], format, name);
+      const changedDates = existingRows === null ? [...recordedDates] : dates;
+      const starts = [...new Set(changedDates.map(period.start))].filter(
+        (start) => lastDate && start <= lastDate
+      );
+      const updatedRows = upsertRows(
+        existingRows || [],
+        starts.map((start) =>
+          computePeriodRow({ period, start, history, recordedDates, lastDate })
+        )
+      );
+      const columns = listColumns(updatedRows, [
+        ...periodColumns,
+        ...rollupColumns.map(({ column }) => column),
+      ]);
+      return [name, serializeRows(updatedRows, columns, format, families)];
+    })
+  );
+}
+
+module.exports = {
+  generateRollupContents,
+  rollupFiles: Object.keys(periods),
+};
@@ -0,0 +1,164 @@
+// The asm.js build of SQLite needs no native module or .wasm file, so it
+// is bundled with the action as it is
+const initSqlJs = require("sql.js/dist/sql-asm.js");
+
+let SQL = null;
+
+// Tables without a family of their own hold the remaining columns
+const DEFAULT_TABLE = "data";
+
+async function loadSqlite() {
+  if (!SQL) {
+    SQL = await initSqlJs();
+  }
+}
+
+function getSqlite() {
+  if (!SQL) {
+    throw new Error("The sqlite format is used before it was loaded.");
+  }
+  return SQL;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Booleans are stored as 0 and 1, and blank values as NULL
+function toSqlValue(value) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+// Numbers and booleans get a type of their own, so they are read back as
+// they were written. Other values, like 'unavailable', are kept as text.
+function getColumnType(rows, column) {
+  const values = rows.map((row) => row[column]);
+  if (values.some((value) => typeof value === "boolean")) {
+    return "BOOLEAN";
+  }
+  return values.some((value) => typeof value === "number") ? "NUMERIC" : "TEXT";
+}
+
+// Splits the columns other than the date into one table per family, as in
+// { traffic: ["traffic_views", ...] }, and the rest into the default table
+function groupColumns(columns, families = {}) {
+  const tables = [];
+  const grouped = new Set(["date"]);
+  for (const [table, familyColumns] of Object.entries(families)) {
+    const tableColumns = familyColumns.filter((column) =>
+      columns.includes(column)
+    );
+    tableColumns.forEach((column) => grouped.add(column));
+    if (tableColumns.length > 0) {
+      tables.push({ table, columns: tableColumns });
+    }
+  }
+  const rest = columns.filter((column) => !grouped.has(column));
+  if (rest.length > 0 || tables.length === 0) {
+    tables.push({ table: DEFAULT_TABLE, columns: rest });
+  }
+  return tables;
+}
+
+// Writes the rows into a new database, returned as base64
+function serializeSqliteRows(rows, columns, families) {
+  const db = new (getSqlite().Database)();
+  try {
+    for (const { table, columns: tableColumns } of groupColumns(
+      columns,
+      families
+    )) {
+      const tableAndColumns = ["date", ...tableColumns];
+      db.run(
+        `CREATE TABLE ${quoteIdentifier(table)} (${tableAndColumns
+          .map(
+            (column) =>
+              `${quoteIdentifier(column)} ${
+                column === "date" ? "TEXT" : getColumnType(rows, column)
+              }`
+          )
+          .join(", ")})`
+      );
+      const statement = db.prepare(
+        `INSERT INTO ${quoteIdentifier(table)} VALUES (${tableAndColumns
+          .map(() => "?")
+          .join(", ")})`
+      );
+      for (const row of rows) {
+        statement.run(tableAndColumns.map((column) => toSqlValue(row[column])));
+      }
+      statement.free();
+    }
+    return Buffer.from(db.export()).toString("base64");
+  } finally {
+    db.close();
+  }
+}
+
+function readTable(db, table) {
+  const booleanColumns = new Set(
+    (
+      db.exec(`PRAGMA table_info(${quoteIdentifier(table)})`)[0] || {
+        values: [],
+      }
+    ).values
+      .filter(([, , type]) => type === "BOOLEAN")
+      .map(([, name]) => name)
+  );
+  const [result] = db.exec(
+    `SELECT * FROM ${quoteIdentifier(table)} ORDER BY rowid`
+  );
+  if (!result) {
+    return [];
+  }
+  return result.values.map((values) =>
+    Object.fromEntries(
+      result.columns.map((column, index) => [
+        column,
+        booleanColumns.has(column) && values[index] !== null
+          ? values[index] === 1
+          : values[index],
+      ])
+    )
+  );
+}
+
+// Reads a database written by serializeSqliteRows. The tables of a file
+// with several families hold one row per date, which are joined by date.
+function parseSqliteRows(content) {
+  const db = new (getSqlite().Database)(Buffer.from(content, "base64"));
+  try {
+    const tables = db
+      .exec(
+        "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY rowid"
+      )
+      .flatMap(({ values }) => values.map(([name]) => name));
+    if (tables.length === 1) {
+      return readTable(db, tables[0]);
+    }
+
+    const rowsByDate = new Map();
+    for (const table of tables) {
+      for (const row of readTable(db, table)) {
+        rowsByDate.set(row.date, { ...rowsByDate.get(row.date), ...row });
+      }
+    }
+    return [...rowsByDate.values()].sort((a, b) =>
+      a.date < b.date ? -1 : a.date > b.date ? 1 : 0
+    );
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  loadSqlite,
+  parseSqliteRows,
+  serializeSqliteRows,
+};
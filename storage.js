@@ -0,0 +1,426 @@
+const {
+  loadSqlite,
+  parseSqliteRows,
+  serializeSqliteRows,
+} = require("./sqlite");
+
+function escapeCsvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvLine(line) {
+  const values = [];
+  let value = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+function parseJsonRows(content) {
+  const rows = JSON.parse(content);
+  if (!Array.isArray(rows)) {
+    throw new Error("Expected a JSON array.");
+  }
+  return rows;
+}
+
+// CSV values are read by the column names in the header line
+function parseCsvRows(content) {
+  const [header, ...lines] = content
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+  const columns = parseCsvLine(header.trim());
+  return lines.map((line) => {
+    const values = parseCsvLine(line.trim());
+    return Object.fromEntries(
+      columns.map((column, index) => [column, values[index]])
+    );
+  });
+}
+
+// CSV keeps every value as text, so numbers and booleans are turned back into
+// their types when the rows move to another format. Values that would not be
+// written the same way again, like "1.0" or "007", stay text.
+function restoreCsvTypes(rows) {
+  const restore = (value) => {
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    const number = Number(value);
+    return value !== "" && String(number) === value ? number : value;
+  };
+  return rows.map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([column, value]) => [column, restore(value)])
+    )
+  );
+}
+
+// One JSON object per line, so adding a day only adds a line
+function parseNdjsonRows(content) {
+  return content
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
+
+function serializeNdjsonRows(rows) {
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+}
+
+function serializeJsonRows(rows) {
+  return JSON.stringify(rows, null, 2);
+}
+
+function serializeCsvRows(rows, columns) {
+  return [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column])).join(",")
+    ),
+  ].join("\n");
+}
+
+// Every format the files can be stored in. The content of binary formats is
+// handled as base64, and formats with a load function need it awaited first.
+const formats = {
+  json: {
+    parse: parseJsonRows,
+    serialize: serializeJsonRows,
+    check: checkJsonRows,
+  },
+  csv: {
+    parse: parseCsvRows,
+    serialize: serializeCsvRows,
+    check: checkCsvRows,
+  },
+  ndjson: {
+    parse: parseNdjsonRows,
+    serialize: serializeNdjsonRows,
+    check: checkNdjsonRows,
+  },
+  sqlite: {
+    parse: parseSqliteRows,
+    serialize: serializeSqliteRows,
+    check: checkSqliteRows,
+    load: loadSqlite,
+    encoding: "base64",
+  },
+};
+
+const formatNames = Object.keys(formats);
+
+function getStorageFormat(format) {
+  if (!Object.prototype.hasOwnProperty.call(formats, format)) {
+    throw new Error(
+      `Unsupported format '${format}'. Please choose one of ${formatNames
+        .map((name) => `"${name}"`)
+        .join(", ")}.`
+    );
+  }
+  return formats[format];
+}
+
+async function loadFormat(format) {
+  const { load } = getStorageFormat(format);
+  if (load) {
+    await load();
+  }
+}
+
+function getFileEncoding(format) {
+  return getStorageFormat(format).encoding || "utf-8";
+}
+
+// Parses a file in any of the formats into row objects
+function parseRows(content, format) {
+  const storageFormat = getStorageFormat(format);
+  if (content === null || content.trim() === "") {
+    return [];
+  }
+  return storageFormat.parse(content);
+}
+
+// Families group the columns into tables, in the formats that have them
+function serializeRows(rows, columns, format, families) {
+  return getStorageFormat(format).serialize(rows, columns, families);
+}
+
+// The given columns followed by any other column found in the rows, so
+// columns that are no longer written keep the values recorded before
+function listColumns(rows, columns) {
+  const names = new Set(columns);
+  for (const row of rows) {
+    for (const name of Object.keys(row)) {
+      names.add(name);
+    }
+  }
+  return [...names];
+}
+
+function compareDates(a, b) {
+  return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+// Replaces the row of every date that has a new entry, keeping the rows sorted by date
+function upsertRows(rows, entries) {
+  const byDate = new Map(rows.map((row) => [row.date, row]));
+  for (const entry of entries) {
+    byDate.set(entry.date, entry);
+  }
+  return [...byDate.values()].sort(compareDates);
+}
+
+// Replaces all rows recorded for a date with the given rows, keeping the file sorted by date
+function replaceRowsForDate({ content, format, columns, date, rows }) {
+  const existingRows = parseRows(content, format).filter(
+    (row) => row.date !== date
+  );
+  const datedRows = rows.map((row) => ({ date, ...row }));
+  const mergedRows = [...existingRows, ...datedRows].sort(compareDates);
+  return serializeRows(mergedRows, listColumns(mergedRows, columns), format);
+}
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+function findRowProblem(row) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return "not an object";
+  }
+  if (typeof row.date !== "string" || !datePattern.test(row.date)) {
+    return `invalid date '${row.date}'`;
+  }
+  const nested = Object.keys(row).find(
+    (column) => row[column] !== null && typeof row[column] === "object"
+  );
+  return nested ? `unexpected value for '${nested}'` : null;
+}
+
+function checkJsonRows(content) {
+  const problems = [];
+  let rows;
+
+  try {
+    rows = JSON.parse(content);
+  } catch (error) {
+    problems.push(`invalid JSON (${error.message})`);
+    // Rows are flat objects, so whatever objects survived can still be parsed one by one
+    rows = (content.match(/\{[^{}]*\}/g) || []).flatMap((match) => {
+      try {
+        return [JSON.parse(match)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  if (!Array.isArray(rows)) {
+    problems.push("expected a JSON array");
+    rows = [];
+  }
+
+  const validRows = rows.filter((row, index) => {
+    const problem = findRowProblem(row);
+    if (problem) {
+      problems.push(`entry ${index + 1}: ${problem}`);
+    }
+    return !problem;
+  });
+
+  return { rows: validRows, problems };
+}
+
+function checkNdjsonRows(content) {
+  const problems = [];
+  const rows = [];
+  content.split("\n").forEach((line, index) => {
+    if (line.trim() === "") {
+      return;
+    }
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (error) {
+      problems.push(`line ${index + 1}: invalid JSON (${error.message})`);
+      return;
+    }
+    const problem = findRowProblem(row);
+    if (problem) {
+      problems.push(`line ${index + 1}: ${problem}`);
+      return;
+    }
+    rows.push(row);
+  });
+  return { rows, problems };
+}
+
+function checkSqliteRows(content) {
+  let rows;
+  try {
+    rows = parseSqliteRows(content);
+  } catch (error) {
+    return {
+      rows: [],
+      problems: [`invalid SQLite database (${error.message})`],
+    };
+  }
+  const problems = [];
+  const validRows = rows.filter((row, index) => {
+    const problem = findRowProblem(row);
+    if (problem) {
+      problems.push(`row ${index + 1}: ${problem}`);
+    }
+    return !problem;
+  });
+  return { rows: validRows, problems };
+}
+
+function checkCsvRows(content, fallbackColumns) {
+  const problems = [];
+  let lines = content.split("\n").filter((line) => line.trim() !== "");
+  let columns = lines.length > 0 ? parseCsvLine(lines[0].trim()) : [];
+  let firstLineNumber = 1;
+
+  if (columns[0] === "date") {
+    lines = lines.slice(1);
+    firstLineNumber = 2;
+  } else {
+    problems.push(`unexpected header '${lines[0] || ""}'`);
+    columns = fallbackColumns;
+  }
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    const values = parseCsvLine(line.trim());
+    if (values.length !== columns.length) {
+      problems.push(
+        `line ${index + firstLineNumber}: expected ${
+          columns.length
+        } values, found ${values.length}`
+      );
+      return;
+    }
+    const row = Object.fromEntries(
+      columns.map((column, columnIndex) => [column, values[columnIndex]])
+    );
+    const problem = findRowProblem(row);
+    if (problem) {
+      problems.push(`line ${index + firstLineNumber}: ${problem}`);
+      return;
+    }
+    rows.push(row);
+  });
+
+  return { rows, columns, problems };
+}
+
+// Validates every row of a file, returning the valid rows and a description
+// of each problem found, so callers can either refuse the file or salvage it
+function checkRows(content, format, fallbackColumns) {
+  const { rows, columns, problems } = getStorageFormat(format).check(
+    content,
+    fallbackColumns
+  );
+  return {
+    rows,
+    columns: columns || listColumns(rows, fallbackColumns),
+    problems,
+  };
+}
+
+// Version of the layout of the stored files, raised whenever files written
+// before need more than added or removed columns to be read
+const SCHEMA_VERSION = 3;
+
+// Describes how a repository's files are stored, so they can be converted
+// when the format changes, and lists the years of the archive files. Files
+// from before it was recorded are version 1, and version 2 had no archives.
+function parseSchema(content) {
+  if (content === null) {
+    return null;
+  }
+  let schema;
+  try {
+    schema = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid schema: ${error.message}`);
+  }
+  if (
+    !schema ||
+    !Number.isInteger(schema.version) ||
+    !formatNames.includes(schema.format)
+  ) {
+    throw new Error("Invalid schema: expected a version and a format.");
+  }
+  if (schema.version > SCHEMA_VERSION) {
+    throw new Error(
+      `The files were written with schema version ${schema.version}, which is newer than version ${SCHEMA_VERSION} of this version of the action. Update the action to read them.`
+    );
+  }
+  return { ...schema, archives: schema.archives || [] };
+}
+
+function serializeSchema({ format, columns, archives }) {
+  return JSON.stringify(
+    { version: SCHEMA_VERSION, format, columns, archives },
+    null,
+    2
+  );
+}
+
+// Splits off the rows before the cutoff date by year, keeping the others
+function splitArchivedRows(rows, cutoff) {
+  const current = [];
+  const archived = new Map();
+  for (const row of rows) {
+    if (!cutoff || row.date >= cutoff) {
+      current.push(row);
+      continue;
+    }
+    const year = Number(row.date.slice(0, 4));
+    if (!archived.has(year)) {
+      archived.set(year, []);
+    }
+    archived.get(year).push(row);
+  }
+  return { current, archived };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  checkRows,
+  formatNames,
+  getFileEncoding,
+  listColumns,
+  loadFormat,
+  parseRows,
+  parseSchema,
+  replaceRowsForDate,
+  restoreCsvTypes,
+  serializeRows,
+  serializeSchema,
+  splitArchivedRows,
+  upsertRows,
+};
@@ -0,0 +1,125 @@
+const core = require("@actions/core");
+const { addDays, listDates } = require("./dates");
+const { createHistory, getCompleteRows, getMetrics } = require("./metrics");
+
+const periods = [7, 28];
+const sparks = "▁▂▃▄▅▆▇█";
+
+// Computes yesterday's value, the 7 and 28 day values and their change
+// compared to the period before, for every metric
+function computeAggregates(storedRows, lastDate) {
+  const { rows, endDate } = getCompleteRows(storedRows, lastDate);
+  const history = createHistory(rows);
+
+  return getMetrics().map((metric) => {
+    const aggregate = {
+      key: metric.key,
+      label: metric.label,
+      kind: metric.kind,
+      yesterday: history.dailyValue(metric.column, endDate),
+    };
+
+    for (const days of periods) {
+      const start = addDays(endDate, 1 - days);
+      aggregate[`value_${days}d`] = history.valueOver(metric, start, endDate);
+      aggregate[`delta_${days}d`] = history.changeOver(metric, start, endDate);
+    }
+
+    aggregate.history = listDates(addDays(endDate, -27), endDate).map((date) =>
+      history.valueOn(metric, date)
+    );
+    return aggregate;
+  });
+}
+
+function sparkline(values) {
+  const numbers = values.filter((value) => value !== null);
+  const min = Math.min(...numbers);
+  const range = Math.max(...numbers) - min;
+  return values
+    .map((value) => {
+      if (value === null) {
+        return " ";
+      }
+      const index = range ? Math.round(((value - min) / range) * 7) : 0;
+      return sparks[index];
+    })
+    .join("");
+}
+
+function formatValue(value) {
+  return value === null ? "–" : value.toLocaleString("en-US");
+}
+
+function formatDelta(delta, current) {
+  if (delta === null) {
+    return "–";
+  }
+  const sign = delta > 0 ? "+" : "";
+  const previous = current - delta;
+  const percentage =
+    previous !== 0 ? ` (${sign}${Math.round((delta / previous) * 100)}%)` : "";
+  return `${sign}${delta.toLocaleString("en-US")}${percentage}`;
+}
+
+// Flow metrics are exposed as totals and deltas, stock metrics as deltas,
+// e.g. views_7d, views_delta_7d and stars_delta_28d
+function getAggregateOutputs(aggregates) {
+  const outputs = {};
+  for (const aggregate of aggregates) {
+    for (const days of periods) {
+      if (aggregate.kind === "flow") {
+        outputs[`${aggregate.key}_${days}d`] = aggregate[`value_${days}d`];
+      }
+      outputs[`${aggregate.key}_delta_${days}d`] = aggregate[`delta_${days}d`];
+    }
+  }
+  return outputs;
+}
+
+function addRepositorySummary({ repository, endDate, aggregates }) {
+  core.summary.addHeading(`Insights for ${repository}`, 2);
+  core.summary.addTable([
+    [
+      { data: "Metric", header: true },
+      { data: `Yesterday (${endDate})`, header: true },
+      { data: "7 days", header: true },
+      { data: "vs. previous 7 days", header: true },
+      { data: "28 days", header: true },
+      { data: "vs. previous 28 days", header: true },
+      { data: "Last 28 days", header: true },
+    ],
+    ...aggregates.map((aggregate) => [
+      aggregate.label,
+      formatValue(aggregate.yesterday),
+      formatValue(aggregate.value_7d),
+      formatDelta(aggregate.delta_7d, aggregate.value_7d),
+      formatValue(aggregate.value_28d),
+      formatDelta(aggregate.delta_28d, aggregate.value_28d),
+      `<code>${sparkline(aggregate.history)}</code>`,
+    ]),
+  ]);
+}
+
+async function writeSummary(reports) {
+  for (const report of reports) {
+    addRepositorySummary(report);
+  }
+  core.summary.addRaw(
+    "Stock metrics show the value at the end of each period, the other metrics the total over the period.",
+    true
+  );
+
+  try {
+    await core.summary.write();
+  } catch (error) {
+    console.log(`Unable to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  computeAggregates,
+  getAggregateOutputs,
+  sparkline,
+  writeSummary,
+};
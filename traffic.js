@@ -0,0 +1,69 @@
+const { addDays, listDates } = require("./dates");
+
+// The traffic API keeps the last 14 days
+const TRAFFIC_WINDOW_DAYS = 14;
+
+function byDate(entries) {
+  return new Map(
+    entries.map(({ timestamp, count, uniques }) => [
+      timestamp.split("T")[0],
+      { count, uniques },
+    ])
+  );
+}
+
+async function getViews(octokit, owner, repo) {
+  const { data } = await octokit.rest.repos.getViews({
+    owner,
+    repo,
+    per: "day",
+  });
+  return byDate(data.views);
+}
+
+async function getClones(octokit, owner, repo) {
+  const { data } = await octokit.rest.repos.getClones({
+    owner,
+    repo,
+    per: "day",
+  });
+  return byDate(data.clones);
+}
+
+// Days without any traffic are missing from the API response
+function getDailyCount(counts, dateString) {
+  return counts.get(dateString) || { count: 0, uniques: 0 };
+}
+
+// Compares the recorded dates with the traffic window ending yesterday.
+// Missing dates inside the window can still be fetched, missing dates
+// between the first recorded date and the window are lost.
+function findMissingDates({
+  recordedDates,
+  provisionalDates = new Set(),
+  yesterdayDateString,
+}) {
+  const windowStart = addDays(yesterdayDateString, 1 - TRAFFIC_WINDOW_DAYS);
+  const firstRecorded = [...recordedDates].sort()[0];
+  const start =
+    firstRecorded && firstRecorded < windowStart ? firstRecorded : windowStart;
+
+  // Provisional days are recorded again while their traffic is still around
+  const missing = listDates(start, yesterdayDateString).filter(
+    (date) =>
+      !recordedDates.has(date) ||
+      (provisionalDates.has(date) && date >= windowStart)
+  );
+
+  return {
+    backfill: missing.filter((date) => date >= windowStart),
+    unavailable: missing.filter((date) => date < windowStart),
+  };
+}
+
+module.exports = {
+  findMissingDates,
+  getClones,
+  getDailyCount,
+  getViews,
+};